@@ -41,6 +41,10 @@
  * fonctionnalités modernes d'accessibilité et d'interaction.
  */
 class FpemNotification extends HTMLElement {
+
+  // Feuille de styles et markup partagés, créés à la première instance
+  static _sharedStyleSheet = undefined;
+  static _markup = null;
   
   /**
    * Liste des attributs surveillés pour déclencher les mises à jour
@@ -49,7 +53,8 @@ class FpemNotification extends HTMLElement {
   static get observedAttributes() {
     return [
       'visible', 'type', 'title', 'message', 'persistent', 
-      'show-close-button', 'icon', 'progress'
+      'show-close-button', 'icon', 'progress', 'count', 'format', 'live',
+      'indeterminate', 'silent'
     ];
   }
 
@@ -63,7 +68,21 @@ class FpemNotification extends HTMLElement {
     // Timers internes pour gestion automatique
     this._autoCloseTimer = null;
     this._progressTimer = null;
-    
+
+    // Horloges pausables du compte à rebours et de la progression
+    this._countdown = null;
+    this._progressClock = null;
+
+    // Raisons de pause actives (hover, focus, hidden...) et déclencheurs autorisés
+    this._pauseReasons = new Set();
+    this.pauseTriggers = { hover: true, focus: true, hidden: true };
+    this._isAutoFocusing = false;
+
+    // État du geste de balayage et seuils de fermeture (distance en px, vitesse en px/ms)
+    this._swipe = null;
+    this._suppressClick = false;
+    this.swipeThresholds = { distance: 80, velocity: 0.5 };
+
     // Handlers stockés pour pouvoir les supprimer proprement
     this._boundHandlers = new Map();
     
@@ -73,8 +92,11 @@ class FpemNotification extends HTMLElement {
     // Création du Shadow DOM avec mode fermé pour sécurité
     this._shadowRoot = this.attachShadow({ mode: 'closed' });
 
-    // Injection du template HTML et CSS complets
-    this._shadowRoot.innerHTML = this._getTemplate();
+    // Styles partagés entre toutes les notifications (adoptedStyleSheets, ou <style> avec nonce)
+    // et markup construit une seule fois puis cloné
+    FpemDom.adoptStyles(this._shadowRoot, FpemNotification);
+    FpemNotification._markup ??= FpemNotification._buildMarkup();
+    this._shadowRoot.appendChild(FpemNotification._markup.cloneNode(true));
 
     // Récupération des références vers les éléments internes
     this._cacheElementReferences();
@@ -84,19 +106,22 @@ class FpemNotification extends HTMLElement {
 
     // Support du focus et navigation clavier
     this._setupKeyboardNavigation();
+
+    // Balayage pour fermer (tactile et souris)
+    this._setupSwipeGesture();
   }
 
   /**
-   * Génère le template HTML complet avec styles CSS intégrés
-   * @returns {string} Template HTML avec styles encapsulés
+   * Styles CSS du composant, identiques pour toutes les instances
+   * @returns {string} Feuille de styles
    */
-  _getTemplate() {
+  static get styles() {
     return `
-      <style>
         /* === STYLES DE BASE === */
         :host {
-          --notif-bg: rgba(0,0,0,0.85);
-          --notif-color: #ffffff;
+          /* Couleurs : type enregistré (--notif-type-*), puis jeton du thème (--notif-<type>-*), puis défaut */
+          --notif-bg: var(--notif-type-bg, var(--notif-custom-bg, rgba(0,0,0,0.85)));
+          --notif-color: var(--notif-type-color, var(--notif-custom-color, #ffffff));
           --notif-border-radius: 0.5rem;
           --notif-shadow: 0 4px 12px rgba(0,0,0,0.3);
           --notif-padding: 1rem;
@@ -125,24 +150,30 @@ class FpemNotification extends HTMLElement {
           transform: translateY(0) scale(1);
         }
 
+        /* Entrée et sortie pilotées par le Web Animations API */
+        :host([animated]) {
+          opacity: 1;
+          transform: none;
+        }
+
         :host([type="success"]) {
-          --notif-bg: linear-gradient(135deg, #10b981, #059669);
-          --notif-color: #ffffff;
+          --notif-bg: var(--notif-type-bg, var(--notif-success-bg, linear-gradient(135deg, #10b981, #059669)));
+          --notif-color: var(--notif-type-color, var(--notif-success-color, #ffffff));
         }
 
         :host([type="error"]) {
-          --notif-bg: linear-gradient(135deg, #ef4444, #dc2626);
-          --notif-color: #ffffff;
+          --notif-bg: var(--notif-type-bg, var(--notif-error-bg, linear-gradient(135deg, #ef4444, #dc2626)));
+          --notif-color: var(--notif-type-color, var(--notif-error-color, #ffffff));
         }
 
         :host([type="warning"]) {
-          --notif-bg: linear-gradient(135deg, #f59e0b, #d97706);
-          --notif-color: #1f2937;
+          --notif-bg: var(--notif-type-bg, var(--notif-warning-bg, linear-gradient(135deg, #f59e0b, #d97706)));
+          --notif-color: var(--notif-type-color, var(--notif-warning-color, #1f2937));
         }
 
         :host([type="info"]) {
-          --notif-bg: linear-gradient(135deg, #3b82f6, #2563eb);
-          --notif-color: #ffffff;
+          --notif-bg: var(--notif-type-bg, var(--notif-info-bg, linear-gradient(135deg, #3b82f6, #2563eb)));
+          --notif-color: var(--notif-type-color, var(--notif-info-color, #ffffff));
         }
 
         /* === CONTAINER PRINCIPAL === */
@@ -151,12 +182,28 @@ class FpemNotification extends HTMLElement {
           color: var(--notif-color);
           border-radius: var(--notif-border-radius);
           box-shadow: var(--notif-shadow);
+          border: var(--notif-border, none);
           padding: var(--notif-padding);
           display: flex;
           align-items: flex-start;
           gap: var(--notif-gap);
           position: relative;
           overflow: hidden;
+          touch-action: pan-y;
+        }
+
+        /* === BALAYAGE POUR FERMER === */
+        :host([swipe-direction="up"]) .notification-container,
+        :host([swipe-direction="down"]) .notification-container {
+          touch-action: pan-x;
+        }
+
+        :host([swipe-direction="none"]) .notification-container {
+          touch-action: auto;
+        }
+
+        :host([swiping]) .notification-container {
+          cursor: grabbing;
         }
 
         .notification-container:focus-within {
@@ -178,11 +225,29 @@ class FpemNotification extends HTMLElement {
           min-width: 0; /* Pour le text-overflow */
         }
 
+        .title-row {
+          display: flex;
+          align-items: baseline;
+          gap: 0.5rem;
+        }
+
         .title {
           font-weight: 600;
           font-size: 0.925rem;
           margin: 0 0 0.25rem 0;
           word-wrap: break-word;
+          min-width: 0;
+        }
+
+        /* === BADGE DE COMPTAGE DES DOUBLONS === */
+        .count-badge {
+          flex-shrink: 0;
+          font-size: 0.75rem;
+          font-weight: 600;
+          line-height: 1.25rem;
+          padding: 0 0.4rem;
+          border-radius: 999px;
+          background: rgba(255,255,255,0.25);
         }
 
         .message {
@@ -193,6 +258,58 @@ class FpemNotification extends HTMLElement {
           word-wrap: break-word;
         }
 
+        /* === MESSAGES FORMATÉS (MARKDOWN / HTML) === */
+        :host([format="markdown"]) .message,
+        :host([format="html"]) .message {
+          white-space: normal;
+        }
+
+        .message code {
+          font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+          font-size: 0.8125rem;
+          padding: 0 0.25rem;
+          border-radius: 0.25rem;
+          background: rgba(0,0,0,0.15);
+        }
+
+        .message ul,
+        .message ol {
+          margin: 0.25rem 0;
+          padding-left: 1.25rem;
+        }
+
+        .message p {
+          margin: 0 0 0.25rem 0;
+        }
+
+        .message a {
+          color: inherit;
+          text-decoration: underline;
+        }
+
+        /* === CONTENU PROJETÉ (SLOTS) === */
+        ::slotted([slot="icon"]) {
+          flex-shrink: 0;
+        }
+
+        ::slotted([slot="title"]) {
+          font-weight: 600;
+          margin: 0 0 0.25rem 0;
+          min-width: 0;
+        }
+
+        ::slotted([slot="actions"]),
+        ::slotted([slot="footer"]) {
+          display: block;
+          margin-top: 0.75rem;
+        }
+
+        ::slotted([slot="content"]) {
+          display: block;
+          cursor: auto;
+          user-select: text;
+        }
+
         /* === ACTIONS PERSONNALISÉES === */
         .actions {
           display: flex;
@@ -222,6 +339,68 @@ class FpemNotification extends HTMLElement {
           outline: none;
         }
 
+        .action-btn[data-variant="primary"] {
+          background: rgba(255,255,255,0.9);
+          border-color: transparent;
+          color: #1f2937;
+        }
+
+        .action-btn[data-variant="secondary"] {
+          background: transparent;
+        }
+
+        .action-btn[data-variant="danger"] {
+          background: #b91c1c;
+          border-color: transparent;
+          color: #ffffff;
+        }
+
+        .action-btn:disabled,
+        .action-btn[aria-disabled="true"] {
+          opacity: 0.55;
+          cursor: not-allowed;
+          transform: none;
+        }
+
+        /* Action asynchrone en cours */
+        .action-btn[aria-busy="true"] {
+          cursor: progress;
+        }
+
+        .action-btn[aria-busy="true"]::before {
+          content: '';
+          display: inline-block;
+          width: 0.75em;
+          height: 0.75em;
+          margin-right: 0.375rem;
+          border: 2px solid currentColor;
+          border-right-color: transparent;
+          border-radius: 50%;
+          vertical-align: -0.125em;
+          animation: notif-spin 0.8s linear infinite;
+        }
+
+        @keyframes notif-spin {
+          to { transform: rotate(360deg); }
+        }
+
+        .action-shortcut {
+          margin-left: 0.375rem;
+          font: inherit;
+          font-size: 0.6875rem;
+          opacity: 0.7;
+        }
+
+        .action-error {
+          margin-top: 0.5rem;
+          font-size: 0.8125rem;
+          font-weight: 600;
+        }
+
+        .action-error[hidden] {
+          display: none;
+        }
+
         /* === BOUTON DE FERMETURE === */
         .close-btn {
           background: transparent;
@@ -256,6 +435,19 @@ class FpemNotification extends HTMLElement {
           border-radius: 0 0 var(--notif-border-radius) var(--notif-border-radius);
         }
 
+        /* Progression indéterminée : segment parcourant la barre en boucle */
+        :host([indeterminate]) .progress-bar {
+          width: 35%;
+          border-radius: 0;
+          transition: none;
+          animation: notif-progress-indeterminate 1.4s ease-in-out infinite;
+        }
+
+        @keyframes notif-progress-indeterminate {
+          from { transform: translateX(-100%); }
+          to { transform: translateX(300%); }
+        }
+
         /* === RESPONSIVE DESIGN === */
         @media (max-width: 480px) {
           :host {
@@ -292,8 +484,32 @@ class FpemNotification extends HTMLElement {
         /* === MODE SOMBRE AUTOMATIQUE === */
         @media (prefers-color-scheme: dark) {
           :host([type="custom"]) {
-            --notif-bg: rgba(31,41,55,0.95);
-            --notif-color: #f3f4f6;
+            --notif-bg: var(--notif-type-bg, var(--notif-custom-bg, rgba(31,41,55,0.95)));
+            --notif-color: var(--notif-type-color, var(--notif-custom-color, #f3f4f6));
+          }
+        }
+
+        /* === COULEURS FORCÉES (MODE CONTRASTE ÉLEVÉ DU SYSTÈME) === */
+        @media (forced-colors: active) {
+          .notification-container {
+            background: Canvas;
+            color: CanvasText;
+            border: 1px solid CanvasText;
+          }
+
+          .notification-container:focus-within {
+            outline-color: Highlight;
+          }
+
+          .action-btn,
+          .close-btn {
+            background: ButtonFace;
+            color: ButtonText;
+            border: 1px solid ButtonText;
+          }
+
+          .progress-bar {
+            background: Highlight;
           }
         }
 
@@ -306,27 +522,54 @@ class FpemNotification extends HTMLElement {
           .action-btn:hover {
             transform: none;
           }
-        }
-      </style>
 
-      <div class="notification-container" role="alert" tabindex="0">
-        <span class="icon" part="icon" aria-hidden="true"></span>
-        
-        <div class="content" part="content">
-          <div class="title" part="title"></div>
-          <div class="message" part="message"></div>
-          <div class="actions" part="actions"></div>
-        </div>
-        
-        <button type="button" class="close-btn" part="close-btn" aria-label="Fermer la notification">
-          <span aria-hidden="true">×</span>
-        </button>
-        
-        <div class="progress-bar" part="progress-bar" role="progressbar" aria-hidden="true"></div>
-      </div>
+          :host([indeterminate]) .progress-bar {
+            width: 100%;
+            animation: none;
+            opacity: 0.6;
+          }
+        }
     `;
   }
 
+  /**
+   * Construit le markup interne du composant, sans HTML en chaîne (Trusted Types)
+   * @returns {DocumentFragment} Structure du Shadow DOM
+   */
+  static _buildMarkup() {
+    const h = FpemDom.h;
+    const fragment = document.createDocumentFragment();
+
+    fragment.appendChild(
+      h('div', { class: 'notification-container', part: 'container', role: 'alert', tabindex: '0' }, [
+        h('slot', { name: 'icon' }, [
+          h('span', { class: 'icon', part: 'icon', 'aria-hidden': 'true' })
+        ]),
+
+        h('div', { class: 'content', part: 'content' }, [
+          h('slot', { name: 'content' }, [
+            h('div', { class: 'title-row' }, [
+              h('slot', { name: 'title' }, [h('div', { class: 'title', part: 'title' })]),
+              h('span', { class: 'count-badge', part: 'count-badge' })
+            ]),
+            h('slot', { name: 'message' }, [h('div', { class: 'message', part: 'message' })]),
+            h('slot', { name: 'actions' }, [h('div', { class: 'actions', part: 'actions' })]),
+            h('div', { class: 'action-error', part: 'action-error', role: 'alert', hidden: true })
+          ]),
+          h('slot', { name: 'footer' })
+        ]),
+
+        h('button', { type: 'button', class: 'close-btn', part: 'close-btn', 'aria-label': 'Fermer la notification' }, [
+          h('span', { 'aria-hidden': 'true' }, ['×'])
+        ]),
+
+        h('div', { class: 'progress-bar', part: 'progress-bar', role: 'progressbar', 'aria-hidden': 'true' })
+      ])
+    );
+
+    return fragment;
+  }
+
   /**
    * Met en cache les références vers les éléments du Shadow DOM
    * pour éviter les requêtes répétées
@@ -335,8 +578,10 @@ class FpemNotification extends HTMLElement {
     this._container = this._shadowRoot.querySelector('.notification-container');
     this._iconElem = this._shadowRoot.querySelector('.icon');
     this._titleElem = this._shadowRoot.querySelector('.title');
+    this._countElem = this._shadowRoot.querySelector('.count-badge');
     this._messageElem = this._shadowRoot.querySelector('.message');
     this._actionsElem = this._shadowRoot.querySelector('.actions');
+    this._actionErrorElem = this._shadowRoot.querySelector('.action-error');
     this._closeBtn = this._shadowRoot.querySelector('.close-btn');
     this._progressBar = this._shadowRoot.querySelector('.progress-bar');
   }
@@ -356,6 +601,11 @@ class FpemNotification extends HTMLElement {
 
     // Handler pour clic sur notification (si non persistante)
     const clickHandler = (e) => {
+      // Le clic qui termine un balayage ne doit pas fermer la notification
+      if (this._suppressClick) {
+        this._suppressClick = false;
+        return;
+      }
       if (!this.persistent && e.target === this._container) {
         this._requestClose('click');
       }
@@ -365,16 +615,56 @@ class FpemNotification extends HTMLElement {
 
     // Handler pour événements personnalisés
     const actionHandler = (e) => {
-      if (e.target.matches('.action-btn')) {
-        const actionId = e.target.dataset.actionId;
-        const action = this._customActions.find(a => a.id === actionId);
-        if (action && action.callback) {
-          action.callback(this, e);
-        }
+      const button = e.target.closest('.action-btn');
+      if (!button) return;
+
+      const action = this._customActions.find(a => a.id === button.dataset.actionId);
+      if (action) {
+        this._invokeAction(action, e);
       }
     };
     this._boundHandlers.set('action', actionHandler);
     this._actionsElem.addEventListener('click', actionHandler);
+
+    // Handlers de pause du compte à rebours (survol et focus)
+    const pointerEnterHandler = () => this._setTriggeredPause('hover', true);
+    const pointerLeaveHandler = () => this._setTriggeredPause('hover', false);
+    this._boundHandlers.set('pointerenter', pointerEnterHandler);
+    this._boundHandlers.set('pointerleave', pointerLeaveHandler);
+    this.addEventListener('pointerenter', pointerEnterHandler);
+    this.addEventListener('pointerleave', pointerLeaveHandler);
+
+    const focusInHandler = () => {
+      // Le focus automatique à l'apparition ne doit pas figer la notification
+      if (!this._isAutoFocusing) this._setTriggeredPause('focus', true);
+    };
+    const focusOutHandler = (e) => {
+      if (!this._container.contains(e.relatedTarget)) {
+        this._setTriggeredPause('focus', false);
+      }
+    };
+    this._boundHandlers.set('focusin', focusInHandler);
+    this._boundHandlers.set('focusout', focusOutHandler);
+    this._container.addEventListener('focusin', focusInHandler);
+    this._container.addEventListener('focusout', focusOutHandler);
+
+    // Handler de visibilité de l'onglet (attaché au document à la connexion)
+    const visibilityHandler = () => {
+      this._setTriggeredPause('hidden', document.visibilityState === 'hidden');
+    };
+    this._boundHandlers.set('visibility', visibilityHandler);
+  }
+
+  /**
+   * Active ou lève une pause déclenchée par l'environnement
+   * si le déclencheur correspondant est autorisé
+   * @param {string} trigger - Déclencheur (hover, focus, hidden)
+   * @param {boolean} active - Pause active ou non
+   */
+  _setTriggeredPause(trigger, active) {
+    if (active && this.pauseTriggers[trigger] === false) return;
+    if (active) this.pauseCountdown(trigger);
+    else this.resumeCountdown(trigger);
   }
 
   /**
@@ -395,6 +685,17 @@ class FpemNotification extends HTMLElement {
             this._requestClose('keyboard');
           }
           break;
+
+        default: {
+          // Raccourcis des actions, hors saisie dans un contenu projeté
+          if (!this._shadowRoot.contains(e.target)) break;
+
+          const action = this._customActions.find(a => a.shortcut && FpemNotification._matchesShortcut(e, a.shortcut));
+          if (action) {
+            e.preventDefault();
+            this._invokeAction(action, e);
+          }
+        }
       }
     };
     
@@ -402,6 +703,148 @@ class FpemNotification extends HTMLElement {
     this._container.addEventListener('keydown', keyHandler);
   }
 
+  /**
+   * Configure le balayage pour fermer via les pointer events
+   * Le sens de fermeture suit l'attribut swipe-direction ('none' pour désactiver)
+   */
+  _setupSwipeGesture() {
+    const pointerDownHandler = (e) => {
+      this._suppressClick = false;
+      if (this.swipeDirection === 'none' || !e.isPrimary || e.button !== 0) return;
+      if (e.target.closest('button, a, input, select, textarea')) return;
+
+      this._swipe = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        offset: 0,
+        velocity: 0,
+        lastTime: e.timeStamp,
+        dragging: false
+      };
+    };
+
+    const pointerMoveHandler = (e) => {
+      const swipe = this._swipe;
+      if (!swipe || e.pointerId !== swipe.pointerId) return;
+
+      const { axis, sign } = this._getSwipeAxis();
+      const deltaX = e.clientX - swipe.startX;
+      const deltaY = e.clientY - swipe.startY;
+      const delta = (axis === 'x' ? deltaX : deltaY) * sign;
+
+      if (!swipe.dragging) {
+        const cross = axis === 'x' ? deltaY : deltaX;
+        if (Math.abs(delta) < 8 && Math.abs(cross) < 8) return;
+
+        // Geste perpendiculaire : on laisse le défilement se faire
+        if (Math.abs(cross) > Math.abs(delta)) {
+          this._swipe = null;
+          return;
+        }
+
+        swipe.dragging = true;
+        this._container.setPointerCapture?.(e.pointerId);
+        this._container.style.transition = 'none';
+        this.setAttribute('swiping', '');
+        this.pauseCountdown('swipe');
+      }
+
+      // Résistance dans le sens opposé à la fermeture
+      const offset = delta > 0 ? delta : delta * 0.2;
+      const elapsed = e.timeStamp - swipe.lastTime;
+      if (elapsed > 0) {
+        swipe.velocity = (offset - swipe.offset) / elapsed;
+      }
+      swipe.offset = offset;
+      swipe.lastTime = e.timeStamp;
+      this._applySwipeOffset(offset);
+    };
+
+    const pointerEndHandler = (e) => {
+      const swipe = this._swipe;
+      if (!swipe || e.pointerId !== swipe.pointerId) return;
+
+      this._swipe = null;
+      if (!swipe.dragging) return;
+
+      this._suppressClick = true;
+      this.removeAttribute('swiping');
+
+      // Vitesse ignorée si le pointeur s'est immobilisé avant le relâchement
+      const velocity = e.timeStamp - swipe.lastTime > 100 ? 0 : swipe.velocity;
+      const { distance, velocity: minVelocity } = this.swipeThresholds;
+      const shouldDismiss = e.type === 'pointerup' && swipe.offset > 0 &&
+        (swipe.offset >= distance || velocity >= minVelocity);
+
+      if (shouldDismiss) {
+        this._completeSwipe();
+      } else {
+        this._cancelSwipe();
+      }
+    };
+
+    this._boundHandlers.set('pointerdown', pointerDownHandler);
+    this._boundHandlers.set('pointermove', pointerMoveHandler);
+    this._boundHandlers.set('pointerup', pointerEndHandler);
+    this._boundHandlers.set('pointercancel', pointerEndHandler);
+    this._container.addEventListener('pointerdown', pointerDownHandler);
+    this._container.addEventListener('pointermove', pointerMoveHandler);
+    this._container.addEventListener('pointerup', pointerEndHandler);
+    this._container.addEventListener('pointercancel', pointerEndHandler);
+  }
+
+  /**
+   * Retourne l'axe et le sens de fermeture du balayage
+   * @returns {Object} {axis: 'x'|'y', sign: 1|-1}
+   */
+  _getSwipeAxis() {
+    switch (this.swipeDirection) {
+      case 'left': return { axis: 'x', sign: -1 };
+      case 'up': return { axis: 'y', sign: -1 };
+      case 'down': return { axis: 'y', sign: 1 };
+      default: return { axis: 'x', sign: 1 };
+    }
+  }
+
+  /**
+   * Déplace la notification pendant le balayage et l'estompe progressivement
+   * @param {number} offset - Déplacement dans le sens de fermeture (px)
+   */
+  _applySwipeOffset(offset) {
+    const { axis, sign } = this._getSwipeAxis();
+    const size = (axis === 'x' ? this._container.offsetWidth : this._container.offsetHeight) ||
+      this.swipeThresholds.distance * 2;
+
+    this._container.style.transform = axis === 'x'
+      ? `translateX(${offset * sign}px)`
+      : `translateY(${offset * sign}px)`;
+    this._container.style.opacity = String(Math.max(0.2, 1 - Math.max(0, offset) / size));
+  }
+
+  /**
+   * Termine un balayage validé : sortie dans le sens du geste puis fermeture
+   */
+  _completeSwipe() {
+    const { axis, sign } = this._getSwipeAxis();
+    this._container.style.transition = 'transform 0.2s ease-out, opacity 0.2s ease-out';
+    this._container.style.transform = axis === 'x'
+      ? `translateX(${120 * sign}%)`
+      : `translateY(${120 * sign}%)`;
+    this._container.style.opacity = '0';
+    this._requestClose('swipe');
+  }
+
+  /**
+   * Annule un balayage relâché trop tôt : retour élastique à la position d'origine
+   */
+  _cancelSwipe() {
+    this._container.style.transition = 'transform 0.25s cubic-bezier(0.34, 1.56, 0.64, 1), opacity 0.25s ease-out';
+    this._container.style.transform = '';
+    this._container.style.opacity = '';
+    this.resumeCountdown('swipe');
+  }
+
   /**
    * Émet une demande de fermeture vers le gestionnaire parent
    * @param {string} reason - Raison de la fermeture
@@ -439,6 +882,15 @@ class FpemNotification extends HTMLElement {
       case 'message':
         this._updateMessage(newVal);
         break;
+
+      case 'format':
+        this._updateMessage(this.getAttribute('message'));
+        break;
+
+      case 'live':
+      case 'silent':
+        this._updateLiveMode(this.getAttribute('live'));
+        break;
         
       case 'show-close-button':
         this._updateCloseButton();
@@ -455,21 +907,39 @@ class FpemNotification extends HTMLElement {
       case 'progress':
         this._updateProgress(newVal);
         break;
+
+      case 'indeterminate':
+        this._updateProgress(this.getAttribute('progress'));
+        break;
+
+      case 'count':
+        this._updateCount(newVal);
+        break;
     }
   }
 
   /**
    * Gère les changements de visibilité avec focus management
+   * Le focus n'est pris à l'apparition que si la notification le demande (autofocus)
    */
   _handleVisibilityChange() {
-    if (this.hasAttribute('visible')) {
-      // Notification devient visible
+    if (this.hasAttribute('visible') && this.hasAttribute('autofocus')) {
       requestAnimationFrame(() => {
-        this._container.focus({ preventScroll: true });
+        this._isAutoFocusing = true;
+        this.focus({ preventScroll: true });
+        this._isAutoFocusing = false;
       });
     }
   }
 
+  /**
+   * Donne le focus à la notification (un contenu projeté marqué autofocus en priorité)
+   * @param {Object} options - Options de focus ({preventScroll})
+   */
+  focus(options) {
+    (this.querySelector('[autofocus]') || this._container).focus(options);
+  }
+
   /**
    * Met à jour l'icône affichée
    * @param {string} iconValue - Nouvelle icône (emoji, caractère, etc.)
@@ -490,13 +960,25 @@ class FpemNotification extends HTMLElement {
 
   /**
    * Met à jour le message de la notification
+   * Le texte brut est affiché tel quel, markdown et HTML passent par la liste blanche
    * @param {string} messageValue - Nouveau message
    */
   _updateMessage(messageValue) {
-    this._messageElem.textContent = messageValue || '';
+    this._messageElem.replaceChildren(FpemRichText.render(messageValue || '', this.format));
     this._messageElem.style.display = messageValue ? '' : 'none';
   }
 
+  /**
+   * Met à jour le badge de comptage des doublons
+   * @param {string} countValue - Nombre d'occurrences
+   */
+  _updateCount(countValue) {
+    const count = parseInt(countValue) || 0;
+    this._countElem.textContent = count > 1 ? `×${count}` : '';
+    this._countElem.setAttribute('aria-label', `${count} occurrences`);
+    this._countElem.style.display = count > 1 ? '' : 'none';
+  }
+
   /**
    * Met à jour la visibilité du bouton de fermeture
    */
@@ -520,18 +1002,51 @@ class FpemNotification extends HTMLElement {
    */
   _updateTheme(type) {
     // Les styles CSS se chargent automatiquement via les attributs
-    // Cette méthode peut être étendue pour des thèmes plus complexes
-    
+    // Les types enregistrés via FpemNotif.registerType fournissent icône et couleurs
+    const definition = FpemNotif.types.get(type) || FpemNotif.types.get('custom');
+
+    // Couleurs du type exposées en variables CSS (un thème personnalisé reste prioritaire)
+    const colors = definition.colors || {};
+    if (colors.background) this.style.setProperty('--notif-type-bg', colors.background);
+    else this.style.removeProperty('--notif-type-bg');
+    if (colors.color) this.style.setProperty('--notif-type-color', colors.color);
+    else this.style.removeProperty('--notif-type-color');
+
     // Mise à jour de l'icône par défaut selon le type
     if (!this.hasAttribute('icon')) {
-      const defaultIcons = {
-        success: '✅',
-        error: '❌',
-        warning: '⚠️',
-        info: 'ℹ️',
-        custom: ''
-      };
-      this._updateIcon(defaultIcons[type] || defaultIcons.custom);
+      this._updateIcon(definition.icon || '');
+    }
+  }
+
+  /**
+   * Applique le mode d'annonce aux technologies d'assistance
+   * assertive (défaut) : role alert, polite : role status, off : aucune annonce
+   * Avec l'attribut silent, l'annonce est déléguée à une région externe : le rôle
+   * alert, lu à l'insertion quel que soit aria-live, est retiré pour éviter une double lecture
+   * @param {string} mode - Mode d'annonce (assertive, polite, off)
+   */
+  _updateLiveMode(mode) {
+    switch (mode) {
+      case 'polite':
+        this._container.setAttribute('role', 'status');
+        this._container.setAttribute('aria-live', 'polite');
+        break;
+
+      case 'off':
+        this._container.removeAttribute('role');
+        this._container.setAttribute('aria-live', 'off');
+        break;
+
+      default:
+        this._container.setAttribute('role', 'alert');
+        this._container.removeAttribute('aria-live');
+    }
+
+    if (this.silent) {
+      if (this._container.getAttribute('role') === 'alert') {
+        this._container.removeAttribute('role');
+      }
+      this._container.setAttribute('aria-live', 'off');
     }
   }
 
@@ -541,9 +1056,18 @@ class FpemNotification extends HTMLElement {
    */
   _updateProgress(progressValue) {
     const progress = Math.max(0, Math.min(100, parseInt(progressValue) || 0));
-    this._progressBar.style.width = `${progress}%`;
-    this._progressBar.setAttribute('aria-valuenow', progress);
-    this._progressBar.style.display = progress > 0 ? 'block' : 'none';
+
+    // Mode indéterminé : largeur et animation gérées par le CSS, sans valeur annoncée
+    if (this.indeterminate) {
+      this._progressBar.style.width = '';
+      this._progressBar.removeAttribute('aria-valuenow');
+    } else {
+      this._progressBar.style.width = `${progress}%`;
+      this._progressBar.setAttribute('aria-valuenow', progress);
+    }
+
+    // Barre affichée dès que la progression est active, y compris à 0
+    this._progressBar.style.display = progressValue !== null || this.indeterminate ? 'block' : 'none';
   }
 
   /**
@@ -557,6 +1081,15 @@ class FpemNotification extends HTMLElement {
     this._updateIcon(this.getAttribute('icon'));
     this._updateTheme(this.getAttribute('type') || 'custom');
     this._updateProgress(this.getAttribute('progress'));
+    this._updateCount(this.getAttribute('count'));
+    this._updateLiveMode(this.getAttribute('live'));
+
+    // Suivi de la visibilité de l'onglet pour la pause du compte à rebours
+    const visibilityHandler = this._boundHandlers.get('visibility');
+    if (visibilityHandler) {
+      document.addEventListener('visibilitychange', visibilityHandler);
+      visibilityHandler();
+    }
   }
 
   /**
@@ -572,15 +1105,9 @@ class FpemNotification extends HTMLElement {
    */
   _cleanup() {
     // Nettoyage des timers
-    if (this._autoCloseTimer) {
-      clearTimeout(this._autoCloseTimer);
-      this._autoCloseTimer = null;
-    }
-    
-    if (this._progressTimer) {
-      clearInterval(this._progressTimer);
-      this._progressTimer = null;
-    }
+    this.stopCountdown();
+    this._stopProgressAnimation();
+    this._pauseReasons.clear();
 
     // Suppression des event listeners
     this._boundHandlers.forEach((handler, key) => {
@@ -597,6 +1124,21 @@ class FpemNotification extends HTMLElement {
         case 'keyboard':
           this._container?.removeEventListener('keydown', handler);
           break;
+        case 'pointerenter':
+        case 'pointerleave':
+          this.removeEventListener(key, handler);
+          break;
+        case 'focusin':
+        case 'focusout':
+        case 'pointerdown':
+        case 'pointermove':
+        case 'pointerup':
+        case 'pointercancel':
+          this._container?.removeEventListener(key, handler);
+          break;
+        case 'visibility':
+          document.removeEventListener('visibilitychange', handler);
+          break;
       }
     });
     
@@ -612,6 +1154,26 @@ class FpemNotification extends HTMLElement {
     this._renderActions();
   }
 
+  /**
+   * Remplace le contenu projeté dans un slot nommé
+   * (icon, title, message, actions, footer, content)
+   * @param {string} name - Nom du slot
+   * @param {Node|string|null} content - Nœud, texte, ou null pour revenir au contenu par défaut
+   */
+  setSlotContent(name, content) {
+    Array.from(this.children)
+      .filter(child => child.slot === name)
+      .forEach(child => child.remove());
+
+    if (content === null || content === undefined) return;
+
+    // Les chaînes sont projetées en texte brut dans un span
+    const node = content instanceof Node ? content : document.createElement('span');
+    if (!(content instanceof Node)) node.textContent = String(content);
+    node.slot = name;
+    this.appendChild(node);
+  }
+
   /**
    * Génère le HTML pour les actions personnalisées
    */
@@ -621,71 +1183,325 @@ class FpemNotification extends HTMLElement {
       return;
     }
 
-    this._actionsElem.innerHTML = this._customActions
-      .map(action => `
-        <button 
-          type="button" 
-          class="action-btn" 
-          data-action-id="${action.id || Math.random().toString(36).substr(2, 9)}"
-          ${action.primary ? 'data-primary="true"' : ''}
-        >
-          ${this._escapeHtml(action.label || 'Action')}
-        </button>
-      `)
-      .join('');
-
+    this._actionsElem.replaceChildren(...this._customActions.map(action => this._createActionElement(action)));
     this._actionsElem.style.display = '';
   }
 
   /**
-   * Échappe le HTML pour éviter les injections XSS
-   * @param {string} text - Texte à échapper
-   * @returns {string} Texte échappé
+   * Crée le bouton (ou le lien si href) d'une action
+   * @param {Object} action - Action {id, label, variant, disabled, href, target, shortcut}
+   * @returns {HTMLElement} Élément de l'action
    */
-  _escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  _createActionElement(action) {
+    const h = FpemDom.h;
+    const variant = action.variant || (action.primary ? 'primary' : 'default');
+    const attributes = {
+      class: 'action-btn',
+      part: variant === 'default' ? 'action-btn' : `action-btn action-btn-${variant}`,
+      'data-action-id': action.id || Math.random().toString(36).substr(2, 9),
+      'data-primary': variant === 'primary' ? 'true' : null,
+      'data-variant': variant,
+      'aria-keyshortcuts': action.shortcut || null
+    };
+    const children = [
+      action.label || 'Action',
+      action.shortcut ? h('kbd', { class: 'action-shortcut', part: 'action-shortcut', 'aria-hidden': 'true' }, [action.shortcut]) : null
+    ].filter(Boolean);
+
+    // Lien : navigation native, sans href lorsqu'il est désactivé
+    if (action.href) {
+      return h('a', {
+        ...attributes,
+        href: action.disabled ? null : action.href,
+        target: action.target,
+        rel: action.target === '_blank' ? 'noopener noreferrer' : null,
+        role: action.disabled ? 'link' : null,
+        'aria-disabled': action.disabled ? 'true' : null
+      }, children);
+    }
+
+    return h('button', { ...attributes, type: 'button', disabled: !!action.disabled }, children);
   }
 
   /**
-   * Démarre une animation de progression automatique
-   * @param {number} duration - Durée en millisecondes
+   * Exécute une action : une Promise met le bouton en attente jusqu'à son issue,
+   * une erreur est affichée sur la notification, closeOnClick ferme après succès
+   * @param {Object} action - Action à exécuter
+   * @param {Event} event - Événement déclencheur
    */
-  startProgressAnimation(duration = 3000) {
-    let startTime = Date.now();
-    const updateProgress = () => {
-      const elapsed = Date.now() - startTime;
-      const progress = Math.min(100, (elapsed / duration) * 100);
-      
-      this.setAttribute('progress', progress.toString());
-      
-      if (progress < 100) {
-        this._progressTimer = requestAnimationFrame(updateProgress);
-      } else {
-        this._progressTimer = null;
-      }
+  _invokeAction(action, event) {
+    const element = Array.from(this._actionsElem.children).find(el => el.dataset.actionId === action.id);
+    if (action.disabled || element?.getAttribute('aria-busy') === 'true') {
+      event?.preventDefault();
+      return;
+    }
+
+    this._setActionError(null);
+    this.dispatchEvent(new CustomEvent('fpemnotif:action-invoked', {
+      bubbles: true,
+      composed: true,
+      detail: { actionId: action.id, notification: this }
+    }));
+
+    const onSuccess = () => {
+      if (action.closeOnClick) this._requestClose('action');
     };
-    
-    updateProgress();
-  }
 
-  // === PROPRIÉTÉS PUBLIQUES ===
+    let result;
+    try {
+      result = action.callback ? action.callback(this, event) : undefined;
+    } catch (error) {
+      this._setActionError(error);
+      return;
+    }
 
-  /** Gestion de la visibilité */
-  get visible() { return this.hasAttribute('visible'); }
-  set visible(val) { 
-    if (val) this.setAttribute('visible', '');
-    else this.removeAttribute('visible');
+    if (!result || typeof result.then !== 'function') {
+      onSuccess();
+      return;
+    }
+
+    // Attente : bouton occupé (sans perdre le focus) et compte à rebours suspendu
+    this._setActionBusy(element, true);
+    this.pauseCountdown('action');
+
+    Promise.resolve(result).then(onSuccess, error => this._setActionError(error)).finally(() => {
+      this._setActionBusy(element, false);
+      this.resumeCountdown('action');
+    });
   }
 
-  /** Gestion de la persistance */
-  get persistent() { return this.hasAttribute('persistent'); }
-  set persistent(val) { 
+  /**
+   * Met un bouton d'action en attente ou le libère
+   * @param {HTMLElement} element - Élément de l'action
+   * @param {boolean} busy - État d'attente
+   */
+  _setActionBusy(element, busy) {
+    if (!element) return;
+
+    if (busy) {
+      element.setAttribute('aria-busy', 'true');
+      element.setAttribute('aria-disabled', 'true');
+    } else {
+      element.removeAttribute('aria-busy');
+      element.removeAttribute('aria-disabled');
+    }
+  }
+
+  /**
+   * Affiche ou efface l'erreur d'une action
+   * @param {Error|string|null} error - Erreur à afficher, null pour effacer
+   */
+  _setActionError(error) {
+    if (error) {
+      console.error('[FPEM NOTIF] Erreur dans l\'action:', error);
+    }
+
+    const message = typeof error === 'string' ? error : error?.message || 'L\'action a échoué';
+    this._actionErrorElem.textContent = error ? message : '';
+    this._actionErrorElem.hidden = !error;
+  }
+
+  /**
+   * Indique si un événement clavier correspond à un raccourci (« Alt+U », « Ctrl+Shift+Z », « u »)
+   * Pour une lettre ou un chiffre, la touche physique (event.code) fait foi quand
+   * le caractère produit n'est plus alphanumérique : Option+T donne « † » sous macOS,
+   * la rangée des chiffres donne « & » ou « é » en AZERTY
+   * @param {KeyboardEvent} event - Événement clavier
+   * @param {string} shortcut - Raccourci
+   * @returns {boolean} Correspondance exacte, modificateurs compris
+   */
+  static _matchesShortcut(event, shortcut) {
+    const keys = String(shortcut).split('+').map(key => key.trim().toLowerCase());
+    const key = keys.pop();
+    const modifiers = new Set(keys);
+
+    const pressed = (event.key || '').toLowerCase();
+    let keyMatches = pressed === key;
+    if (!keyMatches && /^[a-z0-9]$/.test(key) && !/^[a-z0-9]$/.test(pressed)) {
+      keyMatches = event.code === (/\d/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}`);
+    }
+
+    return keyMatches &&
+      event.ctrlKey === (modifiers.has('ctrl') || modifiers.has('control')) &&
+      event.altKey === modifiers.has('alt') &&
+      event.shiftKey === modifiers.has('shift') &&
+      event.metaKey === (modifiers.has('meta') || modifiers.has('cmd'));
+  }
+
+  /**
+   * Démarre une animation de progression automatique
+   * @param {number} duration - Durée en millisecondes
+   */
+  startProgressAnimation(duration = 3000) {
+    this._stopProgressAnimation();
+    this._progressClock = { duration, elapsed: 0, startedAt: null };
+
+    if (!this.paused) {
+      this._runProgressAnimation();
+    } else {
+      this.setAttribute('progress', '0');
+    }
+  }
+
+  /**
+   * Fait avancer la barre de progression depuis le temps déjà écoulé
+   */
+  _runProgressAnimation() {
+    const clock = this._progressClock;
+    if (!clock || clock.startedAt !== null) return;
+
+    clock.startedAt = Date.now();
+    const updateProgress = () => {
+      const elapsed = clock.elapsed + (Date.now() - clock.startedAt);
+      const progress = Math.min(100, (elapsed / clock.duration) * 100);
+
+      this.setAttribute('progress', progress.toString());
+
+      if (progress < 100) {
+        this._progressTimer = requestAnimationFrame(updateProgress);
+      } else {
+        this._progressTimer = null;
+        this._progressClock = null;
+      }
+    };
+
+    updateProgress();
+  }
+
+  /**
+   * Fige la barre de progression en conservant le temps écoulé
+   */
+  _freezeProgressAnimation() {
+    const clock = this._progressClock;
+    if (!clock || clock.startedAt === null) return;
+
+    cancelAnimationFrame(this._progressTimer);
+    this._progressTimer = null;
+    clock.elapsed += Date.now() - clock.startedAt;
+    clock.startedAt = null;
+  }
+
+  /**
+   * Arrête définitivement l'animation de progression
+   */
+  _stopProgressAnimation() {
+    if (this._progressTimer) {
+      cancelAnimationFrame(this._progressTimer);
+      this._progressTimer = null;
+    }
+    this._progressClock = null;
+  }
+
+  /**
+   * Démarre le compte à rebours de fermeture automatique
+   * Le compte à rebours est suspendu tant qu'une raison de pause est active
+   * @param {number} duration - Durée en millisecondes
+   * @param {function} onExpire - Fonction appelée à l'expiration
+   */
+  startCountdown(duration, onExpire) {
+    this.stopCountdown();
+    this._countdown = { duration, remaining: duration, startedAt: null, onExpire };
+
+    if (!this.paused) {
+      this._runCountdown();
+    }
+  }
+
+  /**
+   * Relance le timer de fermeture avec le temps restant
+   */
+  _runCountdown() {
+    const countdown = this._countdown;
+    if (!countdown || countdown.startedAt !== null) return;
+
+    countdown.startedAt = Date.now();
+    this._autoCloseTimer = setTimeout(() => {
+      this._autoCloseTimer = null;
+      this._countdown = null;
+      countdown.onExpire?.();
+    }, countdown.remaining);
+  }
+
+  /**
+   * Arrête le compte à rebours sans déclencher l'expiration
+   */
+  stopCountdown() {
+    if (this._autoCloseTimer) {
+      clearTimeout(this._autoCloseTimer);
+      this._autoCloseTimer = null;
+    }
+    this._countdown = null;
+  }
+
+  /**
+   * Suspend le compte à rebours et la progression
+   * Plusieurs raisons peuvent se cumuler, la reprise attend qu'elles soient toutes levées
+   * @param {string} reason - Raison de la pause (hover, focus, hidden, manual...)
+   */
+  pauseCountdown(reason = 'manual') {
+    const wasPaused = this.paused;
+    this._pauseReasons.add(reason);
+    if (wasPaused) return;
+
+    const countdown = this._countdown;
+    if (countdown && countdown.startedAt !== null) {
+      clearTimeout(this._autoCloseTimer);
+      this._autoCloseTimer = null;
+      countdown.remaining = Math.max(0, countdown.remaining - (Date.now() - countdown.startedAt));
+      countdown.startedAt = null;
+    }
+
+    this._freezeProgressAnimation();
+    this.setAttribute('paused', '');
+  }
+
+  /**
+   * Lève une raison de pause et reprend avec le temps restant
+   * si plus aucune pause n'est active
+   * @param {string} reason - Raison de la pause à lever
+   */
+  resumeCountdown(reason = 'manual') {
+    if (!this._pauseReasons.delete(reason) || this.paused) return;
+
+    this.removeAttribute('paused');
+    this._runCountdown();
+    this._runProgressAnimation();
+  }
+
+  /**
+   * Retourne le temps restant avant la fermeture automatique
+   * @returns {number|null} Temps restant en millisecondes, ou null sans compte à rebours
+   */
+  getRemainingTime() {
+    const countdown = this._countdown;
+    if (!countdown) return null;
+    if (countdown.startedAt === null) return countdown.remaining;
+    return Math.max(0, countdown.remaining - (Date.now() - countdown.startedAt));
+  }
+
+  // === PROPRIÉTÉS PUBLIQUES ===
+
+  /** Gestion de la visibilité */
+  get visible() { return this.hasAttribute('visible'); }
+  set visible(val) { 
+    if (val) this.setAttribute('visible', '');
+    else this.removeAttribute('visible');
+  }
+
+  /** État de pause du compte à rebours (lecture seule) */
+  get paused() { return this._pauseReasons.size > 0; }
+
+  /** Gestion de la persistance */
+  get persistent() { return this.hasAttribute('persistent'); }
+  set persistent(val) { 
     if (val) this.setAttribute('persistent', '');
     else this.removeAttribute('persistent');
   }
 
+  /** Sens du balayage pour fermer (left, right, up, down, none) */
+  get swipeDirection() { return this.getAttribute('swipe-direction') || 'right'; }
+  set swipeDirection(val) { this.setAttribute('swipe-direction', val); }
+
   /** Gestion du bouton de fermeture */
   get showCloseButton() { return this.hasAttribute('show-close-button'); }
   set showCloseButton(val) { 
@@ -703,14 +1519,50 @@ class FpemNotification extends HTMLElement {
   get message() { return this.getAttribute('message') || ''; }
   set message(val) { this.setAttribute('message', val); }
 
+  /** Mode d'annonce aux lecteurs d'écran (assertive, polite, off) */
+  get live() { return this.getAttribute('live') || 'assertive'; }
+  set live(val) { this.setAttribute('live', val); }
+
+  /** Format du message (text, markdown, html) */
+  get format() {
+    const format = this.getAttribute('format');
+    return FpemRichText.formats.has(format) ? format : 'text';
+  }
+  set format(val) { this.setAttribute('format', val); }
+
   get icon() { return this.getAttribute('icon'); }
   set icon(val) { 
     if (val === undefined || val === null) this.removeAttribute('icon');
     else this.setAttribute('icon', val);
   }
 
+  get count() { return parseInt(this.getAttribute('count')) || 1; }
+  set count(val) { this.setAttribute('count', String(val)); }
+
+  /** Progression (0-100), null retire la barre */
   get progress() { return parseInt(this.getAttribute('progress')) || 0; }
-  set progress(val) { this.setAttribute('progress', Math.max(0, Math.min(100, val)).toString()); }
+  set progress(val) {
+    if (val === null) this.removeAttribute('progress');
+    else this.setAttribute('progress', Math.max(0, Math.min(100, val)).toString());
+  }
+
+  /** Notification atteignable par Tab (tabindex itinérant de la zone) */
+  get tabbable() { return this._container.tabIndex === 0; }
+  set tabbable(val) { this._container.tabIndex = val ? 0 : -1; }
+
+  /** Progression indéterminée (durée inconnue) */
+  get indeterminate() { return this.hasAttribute('indeterminate'); }
+  set indeterminate(val) {
+    if (val) this.setAttribute('indeterminate', '');
+    else this.removeAttribute('indeterminate');
+  }
+
+  /** Annonce déléguée à une région externe (rôle conservé, aria-live="off") */
+  get silent() { return this.hasAttribute('silent'); }
+  set silent(val) {
+    if (val) this.setAttribute('silent', '');
+    else this.removeAttribute('silent');
+  }
 }
 
 /**
@@ -753,6 +1605,37 @@ class FpemNotificationBuilder {
     return this;
   }
 
+  /**
+   * Définit le format du message
+   * @param {string} format - Format (text, markdown, html)
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  format(format) {
+    this._options.format = format;
+    return this;
+  }
+
+  /**
+   * Projette du contenu dans un slot nommé
+   * @param {string} name - Slot (icon, title, message, actions, footer)
+   * @param {Node|string} content - Contenu à projeter
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  slot(name, content) {
+    this._options.slots = { ...this._options.slots, [name]: content };
+    return this;
+  }
+
+  /**
+   * Définit un rendu entièrement personnalisé du contenu
+   * @param {Function} render - Fonction (container, ctx) pouvant retourner un nettoyage
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  render(render) {
+    this._options.render = render;
+    return this;
+  }
+
   /**
    * Définit l'icône de la notification
    * @param {string} icon - Icône (emoji, caractère)
@@ -783,6 +1666,26 @@ class FpemNotificationBuilder {
     return this;
   }
 
+  /**
+   * Définit l'animation d'entrée et de sortie
+   * @param {string|Object} animation - Préréglage (slide, fade, scale, bounce, none) ou {enter, exit, duration, easing}
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  animation(animation) {
+    this._options.animation = animation;
+    return this;
+  }
+
+  /**
+   * Autorise ou non la fermeture par balayage
+   * @param {boolean} swipeable - Balayage autorisé
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  swipeable(swipeable = true) {
+    this._options.swipeable = swipeable;
+    return this;
+  }
+
   /**
    * Affiche le bouton de fermeture
    * @param {boolean} show - Afficher le bouton
@@ -803,6 +1706,16 @@ class FpemNotificationBuilder {
     return this;
   }
 
+  /**
+   * Définit la durée de conservation en stockage des notifications persistantes
+   * @param {number} ttl - Durée en millisecondes depuis la création
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  ttl(ttl) {
+    this._options.ttl = ttl;
+    return this;
+  }
+
   /**
    * Ajoute des actions personnalisées
    * @param {Array} actions - Tableau d'actions
@@ -816,8 +1729,8 @@ class FpemNotificationBuilder {
   /**
    * Ajoute une action personnalisée
    * @param {string} label - Libellé du bouton
-   * @param {function} callback - Fonction de callback
-   * @param {boolean} primary - Action principale
+   * @param {function} callback - Fonction de callback (peut retourner une Promise)
+   * @param {boolean|Object} primary - Action principale, ou options {variant, closeOnClick, disabled, href, shortcut}
    * @returns {FpemNotificationBuilder} Instance pour chaînage
    */
   action(label, callback, primary = false) {
@@ -825,12 +1738,72 @@ class FpemNotificationBuilder {
     this._options.actions.push({
       label,
       callback,
+      ...(typeof primary === 'object' ? primary : { primary }),
+      id: Math.random().toString(36).substr(2, 9)
+    });
+    return this;
+  }
+
+  /**
+   * Définit le niveau de priorité
+   * @param {string} priority - Priorité (low, normal, high, critical)
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  priority(priority) {
+    this._options.priority = priority;
+    return this;
+  }
+
+  /**
+   * Réserve l'affichage à l'onglet leader (une seule fois entre onglets)
+   * @param {boolean} leaderOnly - Affichage réservé au leader
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  leaderOnly(leaderOnly = true) {
+    this._options.leaderOnly = leaderOnly;
+    return this;
+  }
+
+  /**
+   * Ajoute une action nommée, résolue dans le registre du gestionnaire
+   * @param {string} label - Libellé du bouton
+   * @param {string} name - Nom de l'action enregistrée via registerAction
+   * @param {*} payload - Données JSON transmises au handler
+   * @param {boolean} primary - Action principale
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  namedAction(label, name, payload = null, primary = false) {
+    if (!this._options.actions) this._options.actions = [];
+    this._options.actions.push({
+      label,
+      name,
+      payload,
       primary,
       id: Math.random().toString(36).substr(2, 9)
     });
     return this;
   }
 
+  /**
+   * Définit la clé de dédoublonnage
+   * @param {string|function} key - Clé ou fonction (type, options) => clé
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  dedupeKey(key) {
+    this._options.dedupeKey = key;
+    return this;
+  }
+
+  /**
+   * Définit la stratégie de groupement des doublons
+   * @param {string} strategy - Stratégie (ignore, replace, count, list)
+   * @returns {FpemNotificationBuilder} Instance pour chaînage
+   */
+  groupStrategy(strategy) {
+    this._options.groupStrategy = strategy;
+    return this;
+  }
+
   /**
    * Définit la position spécifique pour cette notification
    * @param {string} position - Position d'affichage
@@ -863,7 +1836,8 @@ class FpemNotificationBuilder {
 
   /**
    * Affiche la notification avec les options définies
-   * @returns {HTMLElement} Élément de notification créé
+   * @returns {HTMLElement|Object|null} Élément de notification créé, poignée {id, queued, cancel}
+   *   si elle attend dans la file, ou null
    */
   show() {
     return this._manager.notify(this._options.type, this._options);
@@ -872,7 +1846,7 @@ class FpemNotificationBuilder {
   /**
    * Programme l'affichage après un délai
    * @param {number} delay - Délai en millisecondes
-   * @returns {Promise<HTMLElement>} Promise résolue avec l'élément notification
+   * @returns {Promise<HTMLElement|Object|null>} Promise résolue avec le résultat de show()
    */
   showAfter(delay) {
     return new Promise(resolve => {
@@ -883,1455 +1857,5712 @@ class FpemNotificationBuilder {
   }
 }
 
+/**
+ * Politique Trusted Types de la librairie, gardée hors de portée des autres scripts
+ * Elle ne produit que du HTML déjà filtré par la liste blanche de FpemRichText :
+ * l'analyse brute nécessaire au filtrage n'est permise que le temps de cet appel interne
+ */
+const fpemTrustedHTML = (() => {
+  let policy = null;
+  let isParsingRaw = false;
+
+  // Analyse brute dans un template inerte, réservée au filtrage
+  const parseRaw = (html) => {
+    const template = document.createElement('template');
+    isParsingRaw = true;
+    try {
+      template.innerHTML = policy.createHTML(html);
+    } finally {
+      isParsingRaw = false;
+    }
+    return template.content;
+  };
+
+  // Reconstruction par liste blanche puis sérialisation du résultat
+  const sanitizeToString = (html) => {
+    const container = document.createElement('div');
+    FpemRichText._copyAllowedNodes(parseRaw(String(html)), container);
+    return container.innerHTML;
+  };
+
+  return {
+    get name() { return policy?.name || null; },
+    get isActive() { return !!policy; },
+
+    /**
+     * Crée la politique nommée
+     * @param {string} name - Nom autorisé par la directive trusted-types
+     */
+    create(name) {
+      policy = window.trustedTypes.createPolicy(name, {
+        createHTML: html => isParsingRaw ? html : sanitizeToString(html)
+      });
+    },
+
+    /**
+     * Retourne du HTML de confiance, toujours filtré par la liste blanche
+     * @param {string} html - HTML non fiable
+     * @returns {TrustedHTML} HTML filtré
+     */
+    createHTML(html) {
+      return policy.createHTML(html);
+    }
+  };
+})();
+
 /**
  * ========================================================================
- * FPEM NOTIFICATION MANAGER
+ * FPEM DOM & CSP
  * ========================================================================
  * 
- * Gestionnaire principal des notifications avec fonctionnalités avancées:
- * - Gestion de la file d'attente et limitation
- * - Groupement intelligent des notifications
- * - Persistance des notifications importantes
- * - API moderne et extensible
+ * Construction du DOM sans HTML en chaîne et application des styles
+ * compatibles avec une Content Security Policy stricte : feuilles
+ * constructibles partagées, repli <style> avec nonce, et politique
+ * Trusted Types nommée pour l'analyse du format html.
  */
-class FpemNotif {
+class FpemDom {
 
-  // Configuration par défaut du système
-  static defaultOptions = {
-    position: 'bottom-right',
-    duration: 4000,
-    animationDuration: 300,
-    maxVisible: 5,
-    maxQueue: 10,
-    ariaLive: 'polite',
-    groupSimilar: true,
-    groupTimeout: 2000,
-    enablePersistence: false,
-    enableKeyboardShortcuts: true,
-    enableSounds: false,
-    theme: 'auto'
-  };
+  // Nonce des <style> de repli (par défaut celui du script de la librairie)
+  static styleNonce = (typeof document !== 'undefined' && document.currentScript?.nonce) || null;
 
-  // Positions disponibles pour l'affichage
-  static positions = new Set([
-    'top-left', 'top-right', 'bottom-left', 'bottom-right',
-    'top-center', 'bottom-center', 'center'
-  ]);
+  // Avertissement unique quand Trusted Types bloque l'analyse du HTML
+  static _hasWarnedTrustedTypes = false;
 
   /**
-   * Constructeur du gestionnaire de notifications
-   * @param {Object} options - Options de configuration
+   * Configure le nonce des styles et la politique Trusted Types
+   * Les valeurs absentes laissent la configuration existante inchangée
+   * @param {Object} options - {styleNonce, trustedTypesPolicy}
    */
-  constructor(options = {}) {
-    // Fusion des options avec les valeurs par défaut
-    this.config = { ...FpemNotif.defaultOptions, ...options };
-    
-    // Validation des options critiques
-    this._validateOptions();
+  static configure({ styleNonce, trustedTypesPolicy } = {}) {
+    if (styleNonce) {
+      FpemDom.styleNonce = styleNonce;
+    }
 
-    // Collections pour la gestion des notifications
-    this.notifications = new Map();        // Notifications actives
-    this.queue = [];                       // File d'attente des notifications
-    this.groups = new Map();               // Groupes de notifications similaires
-    
-    // Compteurs et état interne
-    this._idCounter = 1;
-    this._isProcessingQueue = false;
-    this._persistenceKey = 'fpem-notifications-v2';
-    
-    // Containers pour différentes positions
-    this._containers = new Map();
-    
-    // Initialisation du système
-    this._initialize();
+    if (trustedTypesPolicy && fpemTrustedHTML.name !== trustedTypesPolicy) {
+      if (typeof window === 'undefined' || !window.trustedTypes) return;
+
+      try {
+        fpemTrustedHTML.create(trustedTypesPolicy);
+      } catch (error) {
+        console.warn(`[FPEM NOTIF] Politique Trusted Types "${trustedTypesPolicy}" non créée:`, error);
+      }
+    }
   }
 
   /**
-   * Valide les options de configuration du gestionnaire
-   * @throws {Error} Si les options sont invalides
+   * Crée un élément avec ses attributs et enfants
+   * @param {string} tag - Nom de la balise
+   * @param {Object} attributes - Attributs (null, undefined et false sont ignorés)
+   * @param {Array<Node|string>} children - Enfants, les chaînes deviennent des nœuds texte
+   * @returns {HTMLElement} Élément créé
    */
-  _validateOptions() {
-    if (!FpemNotif.positions.has(this.config.position)) {
-      console.warn(`[FPEM NOTIF] Position invalide: ${this.config.position}, utilisation de 'bottom-right'`);
-      this.config.position = 'bottom-right';
-    }
+  static h(tag, attributes = {}, children = []) {
+    const element = document.createElement(tag);
 
-    if (this.config.maxVisible < 1 || this.config.maxVisible > 20) {
-      console.warn(`[FPEM NOTIF] maxVisible invalide: ${this.config.maxVisible}, utilisation de 5`);
-      this.config.maxVisible = 5;
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (value === null || value === undefined || value === false) return;
+      element.setAttribute(name, value === true ? '' : String(value));
+    });
+
+    children.forEach(child => {
+      element.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+    });
+
+    return element;
+  }
+
+  /**
+   * Applique les styles d'un composant à son Shadow DOM
+   * Une feuille constructible est partagée par toutes les instances du composant,
+   * sinon un <style> portant le nonce configuré est inséré
+   * @param {ShadowRoot} shadowRoot - Racine à styler
+   * @param {Function} owner - Classe du composant (propriétés statiques styles et _sharedStyleSheet)
+   */
+  static adoptStyles(shadowRoot, owner) {
+    if (owner._sharedStyleSheet === undefined) {
+      owner._sharedStyleSheet = null;
+
+      if (typeof CSSStyleSheet !== 'undefined' && typeof ShadowRoot !== 'undefined' &&
+          'adoptedStyleSheets' in ShadowRoot.prototype && 'replaceSync' in CSSStyleSheet.prototype) {
+        try {
+          const sheet = new CSSStyleSheet();
+          sheet.replaceSync(owner.styles);
+          owner._sharedStyleSheet = sheet;
+        } catch (error) {
+          console.warn('[FPEM NOTIF] Feuille de styles partagée indisponible:', error);
+        }
+      }
     }
 
-    if (this.config.duration < 0) {
-      console.warn(`[FPEM NOTIF] duration invalide: ${this.config.duration}, utilisation de 4000ms`);
-      this.config.duration = 4000;
+    if (owner._sharedStyleSheet) {
+      shadowRoot.adoptedStyleSheets = [owner._sharedStyleSheet];
+      return;
     }
+
+    shadowRoot.appendChild(FpemDom.h('style', { nonce: FpemDom.styleNonce }, [owner.styles]));
   }
 
   /**
-   * Initialise le système de notifications
+   * Analyse du HTML dans un template inerte (aucun script exécuté, aucune ressource chargée)
+   * @param {string} html - HTML non fiable
+   * @returns {DocumentFragment|null} Contenu analysé, null si bloqué par Trusted Types
    */
-  _initialize() {
-    // Création du container principal
-    this._createMainContainer();
-    
-    // Configuration des raccourcis clavier globaux
-    if (this.config.enableKeyboardShortcuts) {
-      this._setupGlobalKeyboardShortcuts();
-    }
-    
-    // Restauration des notifications persistantes
-    if (this.config.enablePersistence) {
-      this._restorePersistedNotifications();
+  static parseHTML(html) {
+    const template = document.createElement('template');
+
+    try {
+      template.innerHTML = fpemTrustedHTML.isActive
+        ? fpemTrustedHTML.createHTML(html)
+        : html;
+    } catch (error) {
+      if (!FpemDom._hasWarnedTrustedTypes) {
+        FpemDom._hasWarnedTrustedTypes = true;
+        console.warn('[FPEM NOTIF] HTML bloqué par Trusted Types, configurez l\'option trustedTypesPolicy:', error);
+      }
+      return null;
     }
-    
-    // Configuration de la détection du thème
-    this._setupThemeDetection();
-    
-    // Nettoyage automatique périodique
-    this._setupPeriodicCleanup();
+
+    return template.content;
+  }
+}
+
+/**
+ * ========================================================================
+ * FPEM RICH TEXT
+ * ========================================================================
+ * 
+ * Rendu sécurisé des messages formatés (markdown ou HTML restreint).
+ * Le HTML est reconstruit nœud par nœud à partir d'une liste blanche
+ * de balises et d'attributs : tout le reste est retiré.
+ */
+class FpemRichText {
+
+  // Formats de message supportés
+  static formats = new Set(['text', 'markdown', 'html']);
+
+  // Balises autorisées et attributs conservés pour chacune
+  static allowedTags = {
+    b: [], strong: [], i: [], em: [], code: [], br: [], p: [],
+    ul: [], ol: [], li: [],
+    a: ['href', 'title']
+  };
+
+  // Balises supprimées avec tout leur contenu
+  static droppedTags = new Set(['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math']);
+
+  // Protocoles autorisés pour les liens (les URLs relatives sont acceptées)
+  static allowedProtocols = new Set(['http:', 'https:', 'mailto:', 'tel:']);
+
+  /**
+   * Construit le contenu à afficher selon le format
+   * @param {string} content - Contenu brut
+   * @param {string} format - Format du contenu (text, markdown, html)
+   * @returns {DocumentFragment} Contenu prêt à insérer
+   */
+  static render(content, format = 'text') {
+    const text = content == null ? '' : String(content);
+
+    if (format === 'html') return FpemRichText.sanitize(text);
+    if (format === 'markdown') return FpemRichText.markdownToFragment(text);
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(document.createTextNode(text));
+    return fragment;
   }
 
   /**
-   * Crée le container principal pour la position définie
+   * Nettoie du HTML selon la liste blanche
+   * @param {string} html - HTML non fiable
+   * @returns {DocumentFragment} Fragment ne contenant que des nœuds autorisés
    */
-  _createMainContainer() {
-    const container = this._createContainer(this.config.position);
-    this._containers.set(this.config.position, container);
-    document.body.appendChild(container);
+  static sanitize(html) {
+    const fragment = document.createDocumentFragment();
+    const parsed = FpemDom.parseHTML(html);
+
+    // Analyse bloquée par Trusted Types : affichage en texte brut
+    if (!parsed) {
+      fragment.appendChild(document.createTextNode(html));
+      return fragment;
+    }
+
+    FpemRichText._copyAllowedNodes(parsed, fragment);
+    return fragment;
   }
 
   /**
-   * Crée un container pour une position spécifique
-   * @param {string} position - Position du container
-   * @returns {HTMLElement} Container créé
+   * Recopie récursivement les nœuds autorisés
+   * Une balise non autorisée est retirée mais son texte est conservé
+   * @param {Node} source - Nœud source
+   * @param {Node} target - Nœud de destination
    */
-  _createContainer(position) {
-    const container = document.createElement('div');
-    container.className = 'fpem-notifications-container';
-    container.setAttribute('role', 'region');
-    container.setAttribute('aria-live', this.config.ariaLive);
-    container.setAttribute('aria-label', 'Zone de notifications');
-    container.dataset.position = position;
+  static _copyAllowedNodes(source, target) {
+    source.childNodes.forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        target.appendChild(document.createTextNode(node.textContent));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
 
-    // Styles CSS complets pour le container
-    Object.assign(container.style, {
-      position: 'fixed',
-      zIndex: '9999999',
-      display: 'flex',
-      flexDirection: 'column',
-      gap: '0.5rem',
-      maxWidth: '420px',
-      minWidth: '280px',
-      pointerEvents: 'none',
-      fontFamily: this.config.fontFamily || 'system-ui, sans-serif',
-      fontSize: '14px'
-    });
+      const tag = node.localName;
+      if (FpemRichText.droppedTags.has(tag)) return;
 
-    this._applyContainerPosition(container, position);
-    
-    // Event listener pour les demandes de fermeture
-    container.addEventListener('fpemnotif:close-requested', (e) => {
-      this._handleCloseRequest(e);
+      const allowedAttributes = FpemRichText.allowedTags[tag];
+      if (!allowedAttributes) {
+        FpemRichText._copyAllowedNodes(node, target);
+        return;
+      }
+
+      const element = document.createElement(tag);
+      allowedAttributes.forEach(name => {
+        const value = node.getAttribute(name);
+        if (value === null) return;
+        if (name === 'href' && !FpemRichText.isSafeUrl(value)) return;
+        element.setAttribute(name, value);
+      });
+
+      if (tag === 'a') {
+        FpemRichText._secureLink(element);
+      }
+
+      FpemRichText._copyAllowedNodes(node, element);
+      target.appendChild(element);
     });
+  }
 
-    return container;
+  /**
+   * Vérifie qu'une URL de lien utilise un protocole autorisé
+   * @param {string} url - URL à vérifier
+   * @returns {boolean} URL sûre
+   */
+  static isSafeUrl(url) {
+    // Suppression des caractères de contrôle et espaces utilisés pour masquer "javascript:"
+    const cleaned = url.replace(/[\u0000- \u007f]/g, '');
+    const scheme = cleaned.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || FpemRichText.allowedProtocols.has(scheme[1].toLowerCase() + ':');
   }
 
   /**
-   * Applique le positionnement CSS au container
-   * @param {HTMLElement} container - Container à positionner
-   * @param {string} position - Position désirée
+   * Les liens s'ouvrent dans un nouvel onglet sans accès à la page d'origine
+   * @param {HTMLAnchorElement} link - Lien à sécuriser
    */
-  _applyContainerPosition(container, position) {
-    const positions = {
-      'top-left': { 
-        top: '1rem', left: '1rem', right: 'auto', bottom: 'auto',
-        alignItems: 'flex-start', transform: 'none'
-      },
-      'top-right': { 
-        top: '1rem', right: '1rem', left: 'auto', bottom: 'auto',
-        alignItems: 'flex-end', transform: 'none'
-      },
-      'bottom-left': { 
-        bottom: '1rem', left: '1rem', right: 'auto', top: 'auto',
-        alignItems: 'flex-start', transform: 'none',
-        flexDirection: 'column-reverse'
-      },
-      'bottom-right': { 
-        bottom: '1rem', right: '1rem', left: 'auto', top: 'auto',
-        alignItems: 'flex-end', transform: 'none',
-        flexDirection: 'column-reverse'
-      },
-      'top-center': { 
-        top: '1rem', left: '50%', right: 'auto', bottom: 'auto',
-        alignItems: 'center', transform: 'translateX(-50%)'
-      },
-      'bottom-center': { 
-        bottom: '1rem', left: '50%', right: 'auto', top: 'auto',
-        alignItems: 'center', transform: 'translateX(-50%)',
-        flexDirection: 'column-reverse'
-      },
-      'center': { 
-        top: '50%', left: '50%', right: 'auto', bottom: 'auto',
-        alignItems: 'center', transform: 'translate(-50%, -50%)'
+  static _secureLink(link) {
+    link.setAttribute('target', '_blank');
+    link.setAttribute('rel', 'noopener noreferrer nofollow');
+  }
+
+  /**
+   * Construit le sous-ensemble markdown supporté directement en DOM
+   * (gras, italique, code, liens, listes et retours à la ligne)
+   * Aucun HTML n'est analysé : le texte est toujours inséré comme texte
+   * @param {string} markdown - Texte markdown
+   * @returns {DocumentFragment} Contenu prêt à insérer
+   */
+  static markdownToFragment(markdown) {
+    const fragment = document.createDocumentFragment();
+    let list = null;
+    let previousIsText = false;
+
+    markdown.split(/\r?\n/).forEach(line => {
+      const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+      if (item) {
+        const tag = item[1] ? 'ul' : 'ol';
+        if (!list || list.localName !== tag) {
+          list = document.createElement(tag);
+          fragment.appendChild(list);
+        }
+        const listItem = document.createElement('li');
+        FpemRichText._appendMarkdownInline(item[2], listItem);
+        list.appendChild(listItem);
+        previousIsText = false;
+        return;
       }
-    };
 
-    const pos = positions[position] || positions['bottom-right'];
-    
-    Object.entries(pos).forEach(([prop, value]) => {
-      if (prop === 'flexDirection') {
-        container.style.flexDirection = value;
-      } else {
-        container.style[prop] = value;
+      // Les lignes de texte consécutives sont séparées par <br>, les listes forment leur propre bloc
+      list = null;
+      if (previousIsText) {
+        fragment.appendChild(document.createElement('br'));
       }
+      FpemRichText._appendMarkdownInline(line, fragment);
+      previousIsText = true;
     });
+
+    return fragment;
   }
 
   /**
-   * Configure les raccourcis clavier globaux
+   * Ajoute une ligne markdown (syntaxe en ligne) à un nœud
+   * Le contenu des blocs de code n'est pas interprété
+   * @param {string} text - Ligne markdown
+   * @param {Node} target - Nœud de destination
    */
-  _setupGlobalKeyboardShortcuts() {
-    document.addEventListener('keydown', (e) => {
-      // Échap pour fermer toutes les notifications non persistantes
-      if (e.key === 'Escape' && e.ctrlKey) {
-        e.preventDefault();
-        this.clearNonPersistent();
+  static _appendMarkdownInline(text, target) {
+    const pattern = /\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s][^*]*?)\*|\b_([^_\s][^_]*?)_\b/g;
+
+    text.split(/(`[^`]+`)/).forEach(part => {
+      if (/^`[^`]+`$/.test(part)) {
+        target.appendChild(FpemDom.h('code', {}, [part.slice(1, -1)]));
+        return;
       }
-      
-      // Ctrl+Shift+N pour afficher le nombre de notifications
-      if (e.key === 'N' && e.ctrlKey && e.shiftKey) {
-        e.preventDefault();
-        this._announceNotificationCount();
+
+      let lastIndex = 0;
+      for (const match of part.matchAll(pattern)) {
+        if (match.index > lastIndex) {
+          target.appendChild(document.createTextNode(part.slice(lastIndex, match.index)));
+        }
+
+        const [, linkText, href, strongA, strongB, emA, emB] = match;
+        let element;
+        let inner;
+        if (linkText !== undefined) {
+          element = document.createElement('a');
+          if (FpemRichText.isSafeUrl(href)) element.setAttribute('href', href);
+          FpemRichText._secureLink(element);
+          inner = linkText;
+        } else if ((strongA ?? strongB) !== undefined) {
+          element = document.createElement('strong');
+          inner = strongA ?? strongB;
+        } else {
+          element = document.createElement('em');
+          inner = emA ?? emB;
+        }
+
+        FpemRichText._appendMarkdownInline(inner, element);
+        target.appendChild(element);
+        lastIndex = match.index + match[0].length;
+      }
+
+      if (lastIndex < part.length) {
+        target.appendChild(document.createTextNode(part.slice(lastIndex)));
       }
     });
   }
+}
+
+/**
+ * ========================================================================
+ * FPEM NOTIFICATION HISTORY
+ * ========================================================================
+ * 
+ * Historique des notifications fermées avec raison de fermeture,
+ * horodatages et état de lecture. Alimente le centre de notifications.
+ */
+class FpemNotificationHistory {
 
   /**
-   * Annonce le nombre de notifications pour l'accessibilité
+   * Constructeur de l'historique
+   * @param {Object} options - Options {maxSize}
    */
-  _announceNotificationCount() {
-    const count = this.notifications.size;
-    const message = count === 0 
-      ? 'Aucune notification active'
-      : `${count} notification${count > 1 ? 's' : ''} active${count > 1 ? 's' : ''}`;
+  constructor(options = {}) {
+    this.maxSize = options.maxSize ?? 50;
     
-    // Création d'un élément temporaire pour l'annonce ARIA
-    const announcer = document.createElement('div');
-    announcer.setAttribute('aria-live', 'assertive');
-    announcer.setAttribute('aria-atomic', 'true');
-    announcer.style.position = 'absolute';
-    announcer.style.left = '-10000px';
-    announcer.textContent = message;
+    // Entrées de la plus récente à la plus ancienne
+    this._entries = [];
     
-    document.body.appendChild(announcer);
-    setTimeout(() => document.body.removeChild(announcer), 1000);
+    // Abonnés notifiés à chaque modification
+    this._listeners = new Set();
   }
 
   /**
-   * Restaure les notifications persistantes depuis le stockage local
+   * Enregistre une notification fermée
+   * @param {Object} entry - Données de la notification
+   * @returns {Object} Entrée enregistrée
    */
-  _restorePersistedNotifications() {
-    try {
-      const stored = localStorage.getItem(this._persistenceKey);
-      if (!stored) return;
+  add(entry) {
+    const record = {
+      id: entry.id,
+      type: entry.type || 'custom',
+      title: entry.title || '',
+      message: entry.message || '',
+      format: entry.format || 'text',
+      icon: entry.icon ?? null,
+      priority: entry.priority || 'normal',
+      position: entry.position || null,
+      reason: entry.reason || 'unknown',
+      createdAt: entry.createdAt || Date.now(),
+      removedAt: entry.removedAt || Date.now(),
+      read: !!entry.read
+    };
 
-      const notifications = JSON.parse(stored);
-      notifications.forEach(notifData => {
-        if (notifData.persistent && this._shouldRestoreNotification(notifData)) {
-          // Restauration avec un délai pour éviter le spam au chargement
-          setTimeout(() => {
-            this.notify(notifData.type, {
-              ...notifData,
-              restored: true
-            });
-          }, 500);
-        }
-      });
-    } catch (error) {
-      console.warn('[FPEM NOTIF] Erreur lors de la restauration des notifications:', error);
+    // Une notification réaffichée avec le même ID remplace son ancienne entrée
+    this._entries = this._entries.filter(existing => existing.id !== record.id);
+    this._entries.unshift(record);
+
+    if (this._entries.length > this.maxSize) {
+      this._entries.length = this.maxSize;
     }
+
+    this._notifyChange();
+    return record;
   }
 
   /**
-   * Détermine si une notification doit être restaurée
-   * @param {Object} notifData - Données de la notification
-   * @returns {boolean} Vrai si la notification doit être restaurée
+   * Retourne les entrées de l'historique
+   * @param {Object} filter - Filtre {type, unreadOnly}
+   * @returns {Array} Copie des entrées correspondantes
    */
-  _shouldRestoreNotification(notifData) {
-    // Ne pas restaurer les notifications trop anciennes (> 24h)
-    const maxAge = 24 * 60 * 60 * 1000; // 24 heures
-    const age = Date.now() - (notifData.timestamp || 0);
-    
-    return age < maxAge && notifData.restoreOnLoad !== false;
+  getEntries(filter = {}) {
+    return this._entries
+      .filter(entry => !filter.type || filter.type === 'all' || entry.type === filter.type)
+      .filter(entry => !filter.unreadOnly || !entry.read)
+      .map(entry => ({ ...entry }));
   }
 
   /**
-   * Sauvegarde les notifications persistantes
+   * Retourne le nombre d'entrées non lues
+   * @returns {number} Nombre d'entrées non lues
    */
-  _persistNotifications() {
-    if (!this.config.enablePersistence) return;
-
-    try {
-      const toStore = Array.from(this.notifications.values())
-        .filter(notif => notif.persistent)
-        .map(notif => ({
-          id: notif.dataset.id,
-          type: notif.type,
-          title: notif.title,
-          message: notif.message,
-          icon: notif.icon,
-          persistent: true,
-          timestamp: Date.now(),
-          restoreOnLoad: notif.dataset.restoreOnLoad !== 'false'
-        }));
-
-      localStorage.setItem(this._persistenceKey, JSON.stringify(toStore));
-    } catch (error) {
-      console.warn('[FPEM NOTIF] Erreur lors de la sauvegarde:', error);
-    }
+  get unreadCount() {
+    return this._entries.filter(entry => !entry.read).length;
   }
 
   /**
-   * Configure la détection automatique du thème
+   * Retourne le nombre total d'entrées
+   * @returns {number} Taille de l'historique
    */
-  _setupThemeDetection() {
-    if (this.config.theme !== 'auto') return;
-
-    const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-    const updateTheme = () => {
-      document.documentElement.setAttribute(
-        'data-fpem-theme', 
-        mediaQuery.matches ? 'dark' : 'light'
-      );
-    };
-
-    updateTheme();
-    mediaQuery.addEventListener('change', updateTheme);
+  get size() {
+    return this._entries.length;
   }
 
   /**
-   * Met en place un nettoyage périodique automatique
+   * Marque une entrée comme lue
+   * @param {string} id - ID de la notification
+   * @returns {boolean} Vrai si l'entrée existait
    */
-  _setupPeriodicCleanup() {
-    // Nettoyage toutes les 5 minutes
-    setInterval(() => {
-      this._cleanupExpiredGroups();
-      this._processQueue();
-    }, 5 * 60 * 1000);
+  markAsRead(id) {
+    const entry = this._entries.find(existing => existing.id === id);
+    if (!entry) return false;
+
+    if (!entry.read) {
+      entry.read = true;
+      this._notifyChange();
+    }
+    return true;
   }
 
   /**
-   * Nettoie les groupes de notifications expirés
+   * Marque toutes les entrées comme lues
+   * @param {string} type - Restreint à un type (optionnel)
    */
-  _cleanupExpiredGroups() {
-    const now = Date.now();
-    const expiredGroups = [];
-
-    this.groups.forEach((group, key) => {
-      if (now - group.lastUpdate > this.config.groupTimeout) {
-        expiredGroups.push(key);
+  markAllAsRead(type) {
+    let changed = false;
+    this._entries.forEach(entry => {
+      if (!entry.read && (!type || type === 'all' || entry.type === type)) {
+        entry.read = true;
+        changed = true;
       }
     });
 
-    expiredGroups.forEach(key => this.groups.delete(key));
+    if (changed) this._notifyChange();
   }
 
   /**
-   * Génère un ID unique pour les notifications
-   * @returns {string} ID unique
+   * Supprime une entrée de l'historique
+   * @param {string} id - ID de la notification
+   * @returns {boolean} Vrai si l'entrée a été supprimée
    */
-  _generateId() {
-    return `fpem-notif-${this._idCounter++}-${Date.now()}`;
+  remove(id) {
+    const before = this._entries.length;
+    this._entries = this._entries.filter(entry => entry.id !== id);
+
+    if (this._entries.length === before) return false;
+    this._notifyChange();
+    return true;
   }
 
   /**
-   * Génère une clé de groupe pour des notifications similaires
-   * @param {string} type - Type de notification
-   * @param {Object} options - Options de la notification
-   * @returns {string} Clé de groupe
+   * Vide l'historique
+   * @param {string} type - Restreint à un type (optionnel)
    */
-  _generateGroupKey(type, options) {
-    if (!this.config.groupSimilar) return null;
-    
-    // Groupement basé sur le type et le titre
-    const groupableFields = [type, options.title || ''].filter(Boolean);
-    return groupableFields.length > 1 ? groupableFields.join('|') : null;
+  clear(type) {
+    const before = this._entries.length;
+    this._entries = type && type !== 'all'
+      ? this._entries.filter(entry => entry.type !== type)
+      : [];
+
+    if (this._entries.length !== before) this._notifyChange();
   }
 
   /**
-   * Gère le groupement des notifications similaires
-   * @param {string} groupKey - Clé du groupe
-   * @param {Object} options - Options de la notification
-   * @returns {Object|null} Notification groupée existante ou null
+   * Abonne une fonction aux modifications de l'historique
+   * @param {function} listener - Fonction appelée avec l'historique
+   * @returns {function} Fonction de désabonnement
    */
-  _handleGrouping(groupKey, options) {
-    if (!groupKey) return null;
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
 
-    const now = Date.now();
-    const existing = this.groups.get(groupKey);
+  /**
+   * Prévient les abonnés d'une modification
+   */
+  _notifyChange() {
+    this._listeners.forEach(listener => {
+      try {
+        listener(this);
+      } catch (error) {
+        console.error('[FPEM NOTIF] Erreur dans un abonné de l\'historique:', error);
+      }
+    });
+  }
+}
 
-    if (existing && (now - existing.lastUpdate) < this.config.groupTimeout) {
-      // Mise à jour du groupe existant
-      existing.count++;
-      existing.lastUpdate = now;
-      existing.lastMessage = options.message;
-
-      // Mise à jour de la notification visible
-      const notification = this.notifications.get(existing.notificationId);
-      if (notification) {
-        const countText = existing.count > 1 ? ` (${existing.count})` : '';
-        notification.title = (options.title || '') + countText;
-        
-        if (options.message) {
-          notification.message = options.message;
-        }
+/**
+ * ========================================================================
+ * FPEM STORAGE ADAPTERS
+ * ========================================================================
+ * 
+ * Adaptateurs de stockage pour la persistance des notifications.
+ * Tous exposent la même interface asynchrone :
+ * - getItem(key) → Promise<any|null>
+ * - setItem(key, value) → Promise<void>
+ * - removeItem(key) → Promise<void>
+ * Les valeurs sont des objets JS, la sérialisation est propre à chaque adaptateur.
+ */
+class FpemWebStorageAdapter {
+
+  /**
+   * Constructeur de l'adaptateur Web Storage
+   * @param {Storage} storage - localStorage ou sessionStorage
+   */
+  constructor(storage) {
+    this._storage = storage;
+  }
 
-        // Animation de mise à jour
-        notification.setAttribute('shake', '');
-        setTimeout(() => notification.removeAttribute('shake'), 500);
+  async getItem(key) {
+    const stored = this._storage.getItem(key);
+    return stored === null ? null : JSON.parse(stored);
+  }
 
-        return { grouped: true, notification, count: existing.count };
-      }
-    }
+  async setItem(key, value) {
+    this._storage.setItem(key, JSON.stringify(value));
+  }
+
+  async removeItem(key) {
+    this._storage.removeItem(key);
+  }
+}
+
+/**
+ * Adaptateur en mémoire, utile pour les tests ou comme repli
+ * lorsque aucun stockage du navigateur n'est disponible
+ */
+class FpemMemoryStorageAdapter {
+
+  constructor() {
+    this._data = new Map();
+  }
+
+  async getItem(key) {
+    return this._data.has(key) ? JSON.parse(this._data.get(key)) : null;
+  }
 
-    return null;
+  async setItem(key, value) {
+    // Copie sérialisée pour le même comportement que les autres stockages
+    this._data.set(key, JSON.stringify(value));
   }
 
+  async removeItem(key) {
+    this._data.delete(key);
+  }
+}
+
+/**
+ * Adaptateur IndexedDB, pour des volumes plus importants
+ * ou un stockage hors du thread de rendu
+ */
+class FpemIndexedDBStorageAdapter {
+
   /**
-   * Crée une nouvelle notification
-   * @param {string} type - Type de notification
-   * @param {Object} options - Options de configuration
-   * @returns {HTMLElement} Notification créée
+   * Constructeur de l'adaptateur IndexedDB
+   * @param {Object} options - Options {dbName, storeName}
    */
-  notify(type, options = {}) {
-    // Validation et normalisation des paramètres
-    const validatedOptions = this._validateAndNormalizeOptions(type, options);
-    const id = validatedOptions.id || this._generateId();
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'fpem-notifications';
+    this.storeName = options.storeName || 'entries';
+    this._dbPromise = null;
+  }
 
-    // Vérification si mise à jour d'une notification existante
-    if (this.notifications.has(id)) {
-      return this._updateExistingNotification(id, validatedOptions);
+  /**
+   * Ouvre la base (une seule fois) et crée le magasin si nécessaire
+   * @returns {Promise<IDBDatabase>} Base ouverte
+   */
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = this._openVersion().catch(error => {
+        this._dbPromise = null;
+        throw error;
+      });
     }
+    return this._dbPromise;
+  }
 
-    // Gestion du groupement
-    const groupKey = this._generateGroupKey(type, validatedOptions);
-    if (groupKey) {
-      const groupResult = this._handleGrouping(groupKey, validatedOptions);
-      if (groupResult?.grouped) {
-        return groupResult.notification;
-      }
-    }
+  /**
+   * Ouvre la base à la version demandée (courante si omise)
+   * Plusieurs adaptateurs peuvent partager une base avec des magasins différents :
+   * un magasin absent impose une montée de version pour être créé
+   * @param {number} [version] - Version à ouvrir
+   * @returns {Promise<IDBDatabase>} Base ouverte contenant le magasin
+   */
+  _openVersion(version) {
+    return new Promise((resolve, reject) => {
+      const request = version ? indexedDB.open(this.dbName, version) : indexedDB.open(this.dbName);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.storeName)) {
+          request.result.createObjectStore(this.storeName);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const nextVersion = db.version + 1;
+          db.close();
+          resolve(this._openVersion(nextVersion));
+          return;
+        }
 
-    // Vérification de la limite de notifications visibles
-    if (this.notifications.size >= this.config.maxVisible) {
-      this._handleMaxVisibleExceeded(validatedOptions);
-      return null;
-    }
+        // Une autre connexion monte la version : celle-ci se libère et sera rouverte
+        db.onversionchange = () => {
+          db.close();
+          this._dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        // Version dépassée entre-temps par un autre adaptateur : nouvel essai sur la courante
+        if (version && request.error?.name === 'VersionError') {
+          resolve(this._openVersion());
+          return;
+        }
+        reject(request.error);
+      };
+    });
+  }
 
-    // Création de la notification
-    const notification = this._createNotificationElement(type, validatedOptions, id);
-    
-    // Enregistrement dans les collections
-    this.notifications.set(id, notification);
-    
-    // Enregistrement du groupe si applicable
-    if (groupKey) {
-      this.groups.set(groupKey, {
-        notificationId: id,
-        count: 1,
-        lastUpdate: Date.now(),
-        lastMessage: validatedOptions.message
-      });
-    }
+  /**
+   * Exécute une requête dans une transaction
+   * @param {string} mode - Mode de transaction (readonly, readwrite)
+   * @param {function} operation - Fonction recevant le magasin et retournant la requête
+   * @returns {Promise<any>} Résultat de la requête
+   */
+  async _request(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
 
-    // Ajout au DOM avec container approprié
-    const container = this._getOrCreateContainer(validatedOptions.position || this.config.position);
-    container.appendChild(notification);
+  async getItem(key) {
+    const value = await this._request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
 
-    // Animation d'apparition
-    this._animateNotificationIn(notification, validatedOptions);
+  async setItem(key, value) {
+    await this._request('readwrite', store => store.put(value, key));
+  }
 
-    // Configuration de la fermeture automatique
-    this._setupAutoClose(notification, validatedOptions);
+  async removeItem(key) {
+    await this._request('readwrite', store => store.delete(key));
+  }
+}
 
-    // Émission d'événements
-    this._emitEvent('added', { notification, type, options: validatedOptions, id });
+/**
+ * ========================================================================
+ * FPEM TAB SYNC
+ * ========================================================================
+ * 
+ * Canal de synchronisation entre onglets d'une même origine.
+ * Utilise BroadcastChannel et se replie sur l'événement 'storage'.
+ * Élit un onglet leader (le plus ancien encore actif) grâce à des
+ * battements de présence échangés sur le canal.
+ */
+class FpemTabSync {
 
-    // Sauvegarde si persistante
-    if (validatedOptions.persistent) {
-      this._persistNotifications();
+  /**
+   * Constructeur du canal de synchronisation
+   * @param {string} name - Nom du canal (propre à l'espace de noms du gestionnaire)
+   * @param {function} onMessage - Fonction appelée avec (kind, payload, source)
+   * @param {Object} options - Options {heartbeatInterval}
+   */
+  constructor(name, onMessage, options = {}) {
+    this.name = name;
+    this.heartbeatInterval = options.heartbeatInterval || 2000;
+
+    // Identifiant ordonnable : le plus petit correspond à l'onglet le plus ancien
+    this.tabId = `${Date.now().toString(36).padStart(10, '0')}-${Math.random().toString(36).substr(2, 9)}`;
+
+    this._onMessage = onMessage;
+    this._startedAt = Date.now();
+    this._peers = new Map();               // tabId → dernier battement reçu
+    this._channel = null;
+    this._storageHandler = null;
+    this._heartbeatTimer = null;
+
+    this._connect();
+
+    // Annonce de présence et battements réguliers
+    this._post('hello');
+    this._heartbeatTimer = setInterval(() => {
+      this._post('heartbeat');
+      this._prunePeers();
+    }, this.heartbeatInterval);
+  }
+
+  /**
+   * Ouvre le transport disponible
+   */
+  _connect() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel(this.name);
+      this._channel.onmessage = (e) => this._receive(e.data);
+      return;
     }
 
-    return notification;
+    // Repli : message écrit puis effacé dans localStorage
+    this._storageHandler = (e) => {
+      if (e.key !== this.name || !e.newValue) return;
+      try {
+        this._receive(JSON.parse(e.newValue));
+      } catch (error) {
+        console.warn('[FPEM NOTIF] Message de synchronisation illisible:', error);
+      }
+    };
+    window.addEventListener('storage', this._storageHandler);
   }
 
   /**
-   * Valide et normalise les options de notification
-   * @param {string} type - Type de notification
-   * @param {Object} options - Options brutes
-   * @returns {Object} Options validées et normalisées
+   * Diffuse un message aux autres onglets
+   * @param {string} kind - Nature du message
+   * @param {Object} payload - Données sérialisables
    */
-  _validateAndNormalizeOptions(type, options) {
-    const normalized = { ...options };
+  _post(kind, payload = {}) {
+    const message = { kind, payload, source: this.tabId, nonce: Math.random() };
 
-    // Validation du type
-    const validTypes = ['success', 'error', 'warning', 'info', 'custom'];
-    if (!validTypes.includes(type)) {
-      console.warn(`[FPEM NOTIF] Type invalide: ${type}, utilisation de 'custom'`);
-      type = 'custom';
+    try {
+      if (this._channel) {
+        this._channel.postMessage(message);
+      } else {
+        localStorage.setItem(this.name, JSON.stringify(message));
+        localStorage.removeItem(this.name);
+      }
+    } catch (error) {
+      console.warn('[FPEM NOTIF] Erreur lors de la synchronisation:', error);
     }
+  }
 
-    // Sanitisation du contenu HTML
-    if (normalized.title) {
-      normalized.title = this._sanitizeContent(normalized.title);
-    }
-    if (normalized.message) {
-      normalized.message = this._sanitizeContent(normalized.message);
-    }
+  /**
+   * Diffuse un message applicatif aux autres onglets
+   * @param {string} kind - Nature du message (show, update, dismiss)
+   * @param {Object} payload - Données sérialisables
+   */
+  send(kind, payload) {
+    this._post(kind, payload);
+  }
 
-    // Validation de la durée
-    if (normalized.duration !== undefined) {
-      normalized.duration = Math.max(0, parseInt(normalized.duration) || 0);
-    }
+  /**
+   * Traite un message reçu d'un autre onglet
+   * @param {Object} message - Message reçu
+   */
+  _receive(message) {
+    if (!message || message.source === this.tabId) return;
 
-    // Validation des actions
-    if (normalized.actions && Array.isArray(normalized.actions)) {
-      normalized.actions = normalized.actions
-        .filter(action => action && typeof action.label === 'string')
-        .map(action => ({
-          ...action,
-          label: this._sanitizeContent(action.label),
-          id: action.id || this._generateId()
-        }));
-    }
+    this._peers.set(message.source, Date.now());
 
-    return normalized;
+    switch (message.kind) {
+      case 'hello':
+        // Réponse immédiate pour que le nouvel onglet connaisse le leader
+        this._post('heartbeat');
+        break;
+
+      case 'heartbeat':
+        break;
+
+      case 'bye':
+        this._peers.delete(message.source);
+        break;
+
+      default:
+        this._onMessage(message.kind, message.payload, message.source);
+    }
   }
 
   /**
-   * Sanitise le contenu pour éviter les injections XSS
-   * @param {string} content - Contenu à sanitiser
-   * @returns {string} Contenu sanitisé
+   * Oublie les onglets silencieux depuis plus de deux battements
    */
-  _sanitizeContent(content) {
-    if (typeof content !== 'string') return '';
-    
-    const tempDiv = document.createElement('div');
-    tempDiv.textContent = content;
-    return tempDiv.innerHTML;
+  _prunePeers() {
+    const limit = Date.now() - this.heartbeatInterval * 2.5;
+    this._peers.forEach((lastSeen, tabId) => {
+      if (lastSeen < limit) this._peers.delete(tabId);
+    });
   }
 
   /**
-   * Met à jour une notification existante
-   * @param {string} id - ID de la notification
-   * @param {Object} options - Nouvelles options
-   * @returns {HTMLElement} Notification mise à jour
+   * Temps restant avant que l'élection soit tranchée
+   * Pendant le premier battement, les onglets déjà ouverts n'ont pas encore répondu
+   * @returns {number} Délai restant en ms (0 une fois l'élection tranchée)
    */
-  _updateExistingNotification(id, options) {
-    const notification = this.notifications.get(id);
-    if (!notification) return null;
+  electionDelay() {
+    return Math.max(0, this._startedAt + this.heartbeatInterval - Date.now());
+  }
 
-    // Mise à jour des propriétés
-    Object.entries(options).forEach(([key, value]) => {
-      if (value !== undefined && notification.hasOwnProperty(key)) {
-        notification[key] = value;
-      }
-    });
+  /**
+   * Indique si cet onglet est le leader
+   * L'onglet ne se déclare pas leader avant de connaître les onglets déjà ouverts
+   * @returns {boolean} Vrai si aucun onglet plus ancien n'est actif
+   */
+  isLeader() {
+    if (this.electionDelay() > 0) return false;
 
-    // Mise à jour des actions si spécifiées
-    if (options.actions) {
-      notification.setActions(options.actions);
+    this._prunePeers();
+    for (const tabId of this._peers.keys()) {
+      if (tabId < this.tabId) return false;
     }
+    return true;
+  }
 
-    // Réinitialisation du timer de fermeture si nécessaire
-    if (!options.persistent && options.duration) {
-      this._setupAutoClose(notification, options);
+  /**
+   * Ferme le canal et prévient les autres onglets
+   */
+  destroy() {
+    this._post('bye');
+
+    if (this._heartbeatTimer) {
+      clearInterval(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
     }
+    if (this._storageHandler) {
+      window.removeEventListener('storage', this._storageHandler);
+      this._storageHandler = null;
+    }
+    this._peers.clear();
+  }
+}
 
-    // Animation de mise à jour
-    notification.setAttribute('shake', '');
-    setTimeout(() => notification.removeAttribute('shake'), 500);
+/**
+ * ========================================================================
+ * FPEM ANNOUNCER
+ * ========================================================================
+ * 
+ * Région d'annonce visuellement masquée, partagée par le gestionnaire.
+ * Les annonces passent par une file : les urgentes (assertive) passent
+ * devant les autres, les doublons rapprochés sont ignorés et une annonce
+ * en attente portant la même clé est remplacée par la plus récente.
+ */
+class FpemAnnouncer {
 
-    this._emitEvent('updated', { notification, id, options });
+  // Modes d'annonce pris en charge
+  static politeness = new Set(['polite', 'assertive']);
 
-    return notification;
+  /**
+   * Constructeur de la région d'annonce
+   * @param {Object} options - Options {dedupeWindow, delay}
+   */
+  constructor(options = {}) {
+    this.dedupeWindow = options.dedupeWindow ?? 1000;
+    this.delay = options.delay ?? 500;
+
+    this._queue = [];
+    this._recent = new Map();
+    this._timer = null;
+    this._root = null;
+    this._regions = {};
+    this._isWaitingForBody = false;
+    this._isDestroyed = false;
+
+    // Les régions doivent exister avant la première annonce : une région créée
+    // puis remplie aussitôt est souvent ignorée par les lecteurs d'écran
+    if (typeof document !== 'undefined') {
+      this._ensureRoot();
+    }
   }
 
   /**
-   * Gère le dépassement de la limite de notifications visibles
-   * @param {Object} options - Options de la nouvelle notification
+   * Met une annonce en file d'attente
+   * @param {string} text - Texte à annoncer
+   * @param {Object} options - Options {politeness, key}
+   * @returns {boolean} true si l'annonce a été retenue
    */
-  _handleMaxVisibleExceeded(options) {
-    if (options.priority === 'high') {
-      // Pour les notifications prioritaires, supprimer la plus ancienne
-      const oldestId = this.notifications.keys().next().value;
-      if (oldestId) {
-        this.removeById(oldestId);
-      }
+  announce(text, { politeness = 'polite', key = null } = {}) {
+    const message = typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+    if (!message || !FpemAnnouncer.politeness.has(politeness)) return false;
+
+    // Même texte annoncé à l'instant : inutile de le répéter
+    const lastSpoken = this._recent.get(message);
+    if (lastSpoken && Date.now() - lastSpoken < this.dedupeWindow) return false;
+
+    // Une annonce en attente de même clé est remplacée par la plus récente
+    const pending = key !== null
+      ? this._queue.find(item => item.key === key)
+      : this._queue.find(item => item.text === message);
+    if (pending) {
+      pending.text = message;
+      if (politeness === 'assertive') pending.politeness = politeness;
     } else {
-      // Sinon, ajouter à la file d'attente
-      if (this.queue.length < this.config.maxQueue) {
-        this.queue.push({ type: options.type, options });
-      }
+      this._queue.push({ text: message, politeness, key });
     }
+
+    // Les annonces urgentes passent devant, l'ordre d'arrivée est conservé sinon
+    this._queue.sort((a, b) => (b.politeness === 'assertive') - (a.politeness === 'assertive'));
+
+    if (!this._timer) this._flush();
+    return true;
   }
 
   /**
-   * Obtient ou crée un container pour une position spécifique
-   * @param {string} position - Position désirée
-   * @returns {HTMLElement} Container pour cette position
+   * Annonce l'élément suivant de la file
+   * La région est vidée puis remplie pour que le même texte soit relu
    */
-  _getOrCreateContainer(position) {
-    if (!this._containers.has(position)) {
-      const container = this._createContainer(position);
-      this._containers.set(position, container);
-      document.body.appendChild(container);
+  _flush() {
+    const item = this._queue.shift();
+    if (!item) {
+      this._timer = null;
+      return;
     }
-    return this._containers.get(position);
+
+    const region = this._getRegion(item.politeness);
+    region.textContent = '';
+    this._recent.set(item.text, Date.now());
+    this._pruneRecent();
+
+    this._timer = setTimeout(() => {
+      region.textContent = item.text;
+      this._timer = setTimeout(() => this._flush(), this.delay);
+    }, 50);
   }
 
   /**
-   * Crée l'élément DOM de la notification
-   * @param {string} type - Type de notification
-   * @param {Object} options - Options de configuration
-   * @param {string} id - ID unique
-   * @returns {HTMLElement} Élément notification
+   * Oublie les textes sortis de la fenêtre de dédoublonnage
    */
-  _createNotificationElement(type, options, id) {
-    const notification = document.createElement('fpem-notification');
-    
-    // Attribution des propriétés de base
-    notification.dataset.id = id;
-    notification.dataset.timestamp = Date.now().toString();
-    notification.type = type;
-    
-    // Configuration du contenu
-    if (options.title) notification.title = options.title;
-    if (options.message) notification.message = options.message;
-    if (options.icon !== undefined) notification.icon = options.icon;
-    
-    // Configuration du comportement
-    notification.persistent = !!options.persistent;
-    notification.showCloseButton = !!options.showCloseButton;
-    
-    // Configuration des options avancées
-    if (options.restoreOnLoad !== undefined) {
-      notification.dataset.restoreOnLoad = options.restoreOnLoad.toString();
-    }
-    
-    // Configuration de la progression
-    if (options.showProgress) {
-      notification.setAttribute('progress', '0');
-      if (options.duration && !options.persistent) {
-        notification.startProgressAnimation(options.duration);
-      }
-    }
-
-    // Configuration des actions personnalisées
-    if (options.actions && options.actions.length > 0) {
-      notification.setActions(options.actions);
-    }
-
-    // Application du thème personnalisé
-    if (options.theme) {
-      this._applyCustomTheme(notification, options.theme);
-    }
-
-    // Stockage du callback de fermeture
-    if (options.onClose) {
-      notification._onCloseCallback = options.onClose;
-    }
-
-    return notification;
+  _pruneRecent() {
+    const now = Date.now();
+    this._recent.forEach((spokenAt, text) => {
+      if (now - spokenAt >= this.dedupeWindow) this._recent.delete(text);
+    });
   }
 
   /**
-   * Applique un thème personnalisé à la notification
-   * @param {HTMLElement} notification - Élément notification
-   * @param {Object} theme - Thème à appliquer
+   * Retourne la région correspondant au mode
+   * @param {string} politeness - Mode d'annonce (polite, assertive)
+   * @returns {HTMLElement} Région live
    */
-  _applyCustomTheme(notification, theme) {
-    if (theme.background) {
-      notification.style.setProperty('--notif-bg', theme.background);
-    }
-    if (theme.color) {
-      notification.style.setProperty('--notif-color', theme.color);
-    }
-    if (theme.borderRadius) {
-      notification.style.setProperty('--notif-border-radius', theme.borderRadius);
-    }
-    if (theme.shadow) {
-      notification.style.setProperty('--notif-shadow', theme.shadow);
-    }
+  _getRegion(politeness) {
+    this._ensureRoot();
+    return this._regions[politeness];
   }
 
   /**
-   * Lance l'animation d'apparition de la notification
-   * @param {HTMLElement} notification - Notification à animer
-   * @param {Object} options - Options d'animation
+   * Crée les régions et les insère dans le document dès que le body existe
+   * (script chargé dans le head) ou de nouveau si elles en ont été retirées
    */
-  _animateNotificationIn(notification, options) {
-    // Animation CSS via l'attribut visible
-    requestAnimationFrame(() => {
-      notification.visible = true;
-      
-      // Focus pour l'accessibilité
-      if (options.autoFocus !== false) {
-        notification.focus({ preventScroll: true });
-      }
-    });
+  _ensureRoot() {
+    if (this._isDestroyed) return;
+
+    if (!this._root) {
+      this._root = document.createElement('div');
+      this._root.className = 'fpem-notifications-announcer';
+
+      // Masquage visuel sans retirer l'élément de l'arbre d'accessibilité
+      Object.assign(this._root.style, {
+        position: 'absolute',
+        width: '1px',
+        height: '1px',
+        margin: '-1px',
+        padding: '0',
+        overflow: 'hidden',
+        clip: 'rect(0, 0, 0, 0)',
+        whiteSpace: 'nowrap',
+        border: '0'
+      });
 
-    // Son de notification si activé
-    if (this.config.enableSounds && options.sound !== false) {
-      this._playNotificationSound(notification.type);
+      this._regions = {
+        polite: this._createRegion('status', 'polite'),
+        assertive: this._createRegion('alert', 'assertive')
+      };
+      this._root.append(this._regions.polite, this._regions.assertive);
     }
-  }
 
-  /**
-   * Joue un son de notification selon le type
-   * @param {string} type - Type de notification
-   */
-  _playNotificationSound(type) {
-    // Utilisation de l'API Web Audio si disponible
-    if (typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined') {
-      try {
-        const audioContext = new (AudioContext || webkitAudioContext)();
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
-
-        // Fréquences selon le type
-        const frequencies = {
-          success: 800,
-          error: 400,
-          warning: 600,
-          info: 500,
-          custom: 450
-        };
-
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
-        
-        oscillator.frequency.setValueAtTime(frequencies[type] || 450, audioContext.currentTime);
-        oscillator.type = 'sine';
-        
-        gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-        gainNode.gain.linearRampToValueAtTime(0.1, audioContext.currentTime + 0.01);
-        gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.1);
-        
-        oscillator.start(audioContext.currentTime);
-        oscillator.stop(audioContext.currentTime + 0.1);
-      } catch (error) {
-        console.warn('[FPEM NOTIF] Erreur lors de la lecture du son:', error);
-      }
+    if (this._root.isConnected) return;
+    if (document.body) {
+      document.body.appendChild(this._root);
+    } else if (!this._isWaitingForBody) {
+      this._isWaitingForBody = true;
+      document.addEventListener('DOMContentLoaded', () => {
+        this._isWaitingForBody = false;
+        this._ensureRoot();
+      }, { once: true });
     }
   }
 
   /**
-   * Configure la fermeture automatique d'une notification
-   * @param {HTMLElement} notification - Notification à configurer
-   * @param {Object} options - Options de fermeture
+   * Crée une région live atomique
+   * @param {string} role - Rôle ARIA (status, alert)
+   * @param {string} politeness - Valeur d'aria-live
+   * @returns {HTMLElement} Région créée
    */
-  _setupAutoClose(notification, options) {
-    // Nettoyage du timer existant
-    if (notification._autoCloseTimer) {
-      clearTimeout(notification._autoCloseTimer);
-    }
-
-    // Configuration du nouveau timer si non persistante
-    if (!options.persistent) {
-      const duration = options.duration || this.config.duration;
-      
-      notification._autoCloseTimer = setTimeout(() => {
-        this.removeById(notification.dataset.id);
-      }, duration);
-    }
+  _createRegion(role, politeness) {
+    const region = document.createElement('div');
+    region.setAttribute('role', role);
+    region.setAttribute('aria-live', politeness);
+    region.setAttribute('aria-atomic', 'true');
+    return region;
   }
 
   /**
-   * Gère les demandes de fermeture des notifications
-   * @param {Event} event - Événement de demande de fermeture
+   * Vide la file et retire la région du document
    */
-  _handleCloseRequest(event) {
-    const notification = event.target;
-    const id = notification.dataset.id;
-    const reason = event.detail?.reason || 'unknown';
-
-    if (id) {
-      this.removeById(id, reason);
+  destroy() {
+    this._isDestroyed = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._queue = [];
+    this._recent.clear();
+
+    if (this._root?.parentNode) {
+      this._root.parentNode.removeChild(this._root);
     }
+    this._root = null;
+    this._regions = {};
   }
+}
 
-  /**
-   * Supprime une notification par son ID
-   * @param {string} id - ID de la notification
-   * @param {string} reason - Raison de la suppression
-   * @returns {boolean} Vrai si supprimée avec succès
-   */
-  removeById(id, reason = 'manual') {
-    const notification = this.notifications.get(id);
-    if (!notification) return false;
+/**
+ * ========================================================================
+ * FPEM NOTIFICATION MANAGER
+ * ========================================================================
+ * 
+ * Gestionnaire principal des notifications avec fonctionnalités avancées:
+ * - Gestion de la file d'attente et limitation
+ * - Groupement intelligent des notifications
+ * - Persistance des notifications importantes
+ * - API moderne et extensible
+ */
+class FpemNotif {
 
-    // Animation de sortie
-    notification.visible = false;
+  // Configuration par défaut du système
+  static defaultOptions = {
+    position: 'bottom-right',
+    duration: 4000,
+    animationDuration: 300,
+    animation: 'slide',
+    maxVisible: 5,
+    maxQueue: 10,
+    ariaLive: 'polite',
+    announcements: {
+      added: '{title}. {message}',
+      grouped: '{message}, {count} fois',
+      updated: 'Mise à jour : {title}. {message}'
+    },
+    groupSimilar: true,
+    groupTimeout: 2000,
+    groupTimeouts: {},
+    groupStrategy: 'count',
+    groupStrategies: {},
+    groupListSize: 5,
+    dedupeKey: null,
+    enablePersistence: false,
+    enableKeyboardShortcuts: true,
+    focusHotkey: 'Alt+T',
+    enableSounds: false,
+    pauseOnHover: true,
+    pauseOnFocus: true,
+    pauseOnPageHidden: true,
+    format: 'text',
+    swipeToDismiss: true,
+    swipeThreshold: 80,
+    swipeVelocity: 0.5,
+    stacking: 'auto',
+    gap: '0.5rem',
+    offsetX: '1rem',
+    offsetY: '1rem',
+    stackMode: 'list',
+    stackPeek: 10,
+    stackMaxLayers: 3,
+    positionOptions: {},
+    enableHistory: true,
+    historySize: 50,
+    storage: 'local',
+    namespace: null,
+    storageKey: null,
+    storageMigrations: {},
+    persistenceMaxAge: 24 * 60 * 60 * 1000,
+    enableSync: false,
+    styleNonce: null,
+    trustedTypesPolicy: null,
+    theme: 'auto'
+  };
 
-    // Nettoyage des timers
-    if (notification._autoCloseTimer) {
-      clearTimeout(notification._autoCloseTimer);
-    }
+  // Positions disponibles pour l'affichage
+  static positions = new Set([
+    'top-left', 'top-right', 'bottom-left', 'bottom-right',
+    'top-center', 'bottom-center', 'center'
+  ]);
 
-    // Appel du callback de fermeture
-    if (notification._onCloseCallback) {
-      try {
-        notification._onCloseCallback(notification, reason);
-      } catch (error) {
-        console.error('[FPEM NOTIF] Erreur dans le callback de fermeture:', error);
-      }
-    }
+  // Registre des types de notification : icône, couleurs, durée, son (Hz ou false),
+  // mode d'annonce et priorité par défaut. Complété par FpemNotif.registerType
+  static types = new Map([
+    ['success', { icon: '✅', sound: 800 }],
+    ['error', { icon: '❌', sound: 400, ariaLive: 'assertive' }],
+    ['warning', { icon: '⚠️', sound: 600 }],
+    ['info', { icon: 'ℹ️', sound: 500 }],
+    ['custom', { icon: '', sound: 450 }]
+  ]);
 
-    // Suppression après animation
-    setTimeout(() => {
-      // Retrait du DOM
-      if (notification.parentNode) {
-        notification.parentNode.removeChild(notification);
-      }
+  // Thèmes nommés : jeux de variables --notif-* appliqués à chaque notification
+  // 'auto' suit les préférences du système (sombre, contraste élevé)
+  static themes = new Map([
+    ['auto', {}],
+    ['light', {
+      '--notif-custom-bg': '#ffffff',
+      '--notif-custom-color': '#1f2937',
+      '--notif-shadow': '0 4px 12px rgba(0,0,0,0.12)',
+      '--notif-border': '1px solid rgba(0,0,0,0.08)'
+    }],
+    ['dark', {
+      '--notif-custom-bg': 'rgba(31,41,55,0.95)',
+      '--notif-custom-color': '#f3f4f6',
+      '--notif-success-bg': 'linear-gradient(135deg, #047857, #065f46)',
+      '--notif-error-bg': 'linear-gradient(135deg, #b91c1c, #991b1b)',
+      '--notif-warning-bg': 'linear-gradient(135deg, #b45309, #92400e)',
+      '--notif-warning-color': '#ffffff',
+      '--notif-info-bg': 'linear-gradient(135deg, #1d4ed8, #1e40af)',
+      '--notif-shadow': '0 4px 16px rgba(0,0,0,0.6)',
+      '--notif-border': '1px solid rgba(255,255,255,0.08)'
+    }],
+    ['high-contrast', {
+      '--notif-custom-bg': '#000000',
+      '--notif-custom-color': '#ffffff',
+      '--notif-success-bg': '#000000',
+      '--notif-success-color': '#ffffff',
+      '--notif-error-bg': '#000000',
+      '--notif-error-color': '#ffffff',
+      '--notif-warning-bg': '#000000',
+      '--notif-warning-color': '#ffffff',
+      '--notif-info-bg': '#000000',
+      '--notif-info-color': '#ffffff',
+      '--notif-shadow': 'none',
+      '--notif-border': '2px solid #ffffff'
+    }]
+  ]);
 
-      // Suppression des collections
-      this.notifications.delete(id);
+  // Thèmes intégrés, non supprimables
+  static builtinThemes = new Set(['auto', 'light', 'dark', 'high-contrast']);
 
-      // Nettoyage des groupes
-      this._cleanupGroupForNotification(id);
+  /**
+   * Enregistre un thème nommé sous forme de variables --notif-*
+   * @param {string} name - Nom du thème
+   * @param {Object} tokens - Variables CSS, ex: {'--notif-custom-bg': '#fff', '--notif-shadow': 'none'}
+   * @returns {Function} Fonction de désenregistrement
+   */
+  static registerTheme(name, tokens = {}) {
+    if (typeof name !== 'string' || !name || FpemNotif.builtinThemes.has(name)) {
+      console.warn(`[FPEM NOTIF] Nom de thème invalide ou réservé: ${name}`);
+      return () => {};
+    }
 
-      // Émission d'événement
-      this._emitEvent('removed', { notification, id, reason });
+    const validated = {};
+    Object.entries(tokens).forEach(([token, value]) => {
+      if (!token.startsWith('--notif-')) {
+        console.warn(`[FPEM NOTIF] Variable de thème ignorée: ${token}`);
+        return;
+      }
+      validated[token] = String(value);
+    });
 
-      // Traitement de la file d'attente
-      this._processQueue();
+    FpemNotif.themes.set(name, validated);
+    return () => FpemNotif.themes.delete(name);
+  }
 
-      // Mise à jour de la persistance
-      this._persistNotifications();
+  // Types intégrés, non supprimables
+  static builtinTypes = new Set(['success', 'error', 'warning', 'info', 'custom']);
 
-    }, this.config.animationDuration);
+  // Modes d'annonce acceptés pour ariaLive
+  static liveModes = new Set(['polite', 'assertive', 'off']);
 
-    return true;
-  }
+  // Abonnés aux changements du registre des types (filtre du centre de notifications)
+  static _typeListeners = new Set();
 
   /**
-   * Nettoie les groupes associés à une notification supprimée
-   * @param {string} notificationId - ID de la notification
+   * Prévient les abonnés qu'un type a été ajouté, modifié ou retiré
    */
-  _cleanupGroupForNotification(notificationId) {
-    const groupToDelete = [];
-    
-    this.groups.forEach((group, key) => {
-      if (group.notificationId === notificationId) {
-        groupToDelete.push(key);
+  static _notifyTypesChanged() {
+    FpemNotif._typeListeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('[FPEM NOTIF] Erreur dans un abonné au registre des types:', error);
       }
     });
-
-    groupToDelete.forEach(key => this.groups.delete(key));
   }
 
   /**
-   * Traite la file d'attente des notifications
+   * Enregistre un type de notification personnalisé
+   * Le type obtient son raccourci (ex: fpemNotif.security()) et ses variables CSS
+   * @param {string} name - Nom du type (lettres, chiffres, tirets)
+   * @param {Object} definition - {icon, colors: {background, color}, duration, sound, ariaLive, priority, animation, label}
+   * @returns {Function} Fonction de désenregistrement
    */
-  _processQueue() {
-    if (this._isProcessingQueue || this.queue.length === 0) return;
-    if (this.notifications.size >= this.config.maxVisible) return;
-
-    this._isProcessingQueue = true;
+  static registerType(name, definition = {}) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/i.test(name)) {
+      console.warn(`[FPEM NOTIF] Nom de type invalide: ${name}`);
+      return () => {};
+    }
 
-    // Traitement du prochain élément
-    const next = this.queue.shift();
-    if (next) {
-      this.notify(next.type, next.options);
+    const validated = { ...definition };
+    if (validated.ariaLive !== undefined && !FpemNotif.liveModes.has(validated.ariaLive)) {
+      console.warn(`[FPEM NOTIF] ariaLive invalide pour le type ${name}: ${validated.ariaLive}`);
+      delete validated.ariaLive;
+    }
+    if (validated.priority !== undefined && !(validated.priority in FpemNotif.priorities)) {
+      console.warn(`[FPEM NOTIF] Priorité invalide pour le type ${name}: ${validated.priority}`);
+      delete validated.priority;
     }
 
-    this._isProcessingQueue = false;
+    // Un type intégré peut être personnalisé, ses valeurs d'origine servent de base
+    FpemNotif.types.set(name, { ...FpemNotif.types.get(name), ...validated });
 
-    // Récursion si encore de la place et des éléments en attente
-    if (this.queue.length > 0 && this.notifications.size < this.config.maxVisible) {
-      setTimeout(() => this._processQueue(), 100);
+    // Raccourci nommé comme success() ou error(), sans écraser une méthode existante
+    let ownsShortcut = false;
+    if (!(name in FpemNotif.prototype)) {
+      FpemNotif.prototype[name] = function(options) {
+        if (typeof options === 'string') {
+          options = { message: options };
+        }
+        return this.notify(name, options);
+      };
+      ownsShortcut = true;
+    } else if (!FpemNotif.builtinTypes.has(name)) {
+      console.warn(`[FPEM NOTIF] Raccourci non créé pour le type ${name}: nom déjà utilisé`);
     }
-  }
-
-  /**
-   * Supprime toutes les notifications
-   * @param {boolean} includesPersistent - Inclure les notifications persistantes
-   */
-  clearAll(includesPersistent = false) {
-    const toRemove = Array.from(this.notifications.keys()).filter(id => {
-      const notification = this.notifications.get(id);
-      return includesPersistent || !notification.persistent;
-    });
+    FpemNotif._notifyTypesChanged();
 
-    toRemove.forEach(id => this.removeById(id, 'clear-all'));
+    return () => {
+      if (FpemNotif.builtinTypes.has(name)) return;
+      FpemNotif.types.delete(name);
+      if (ownsShortcut) delete FpemNotif.prototype[name];
+      FpemNotif._notifyTypesChanged();
+    };
   }
 
   /**
-   * Supprime uniquement les notifications non persistantes
+   * Retourne les valeurs par défaut d'un type applicables aux options
+   * @param {string} type - Type de notification
+   * @returns {Object} Options par défaut {duration, priority, ariaLive, animation}
    */
-  clearNonPersistent() {
-    this.clearAll(false);
+  _getTypeDefaults(type) {
+    const { duration, priority, ariaLive, animation } = FpemNotif.types.get(type) || {};
+    const defaults = {};
+    if (duration !== undefined) defaults.duration = duration;
+    if (priority !== undefined) defaults.priority = priority;
+    if (ariaLive !== undefined) defaults.ariaLive = ariaLive;
+    if (animation !== undefined) defaults.animation = animation;
+    return defaults;
   }
 
   /**
-   * Retourne le nombre de notifications actives
-   * @returns {number} Nombre de notifications
+   * Vérifie qu'un type est enregistré, sinon utilise 'custom'
+   * @param {string} type - Type demandé
+   * @returns {string} Type valide
    */
-  count() {
-    return this.notifications.size;
+  _resolveType(type) {
+    if (FpemNotif.types.has(type)) return type;
+    console.warn(`[FPEM NOTIF] Type invalide: ${type}, utilisation de 'custom'`);
+    return 'custom';
   }
 
-  /**
-   * Retourne le nombre d'éléments en file d'attente
-   * @returns {number} Taille de la file d'attente
-   */
-  queueSize() {
-    return this.queue.length;
-  }
+  // Préréglages d'animation : keyframes d'entrée et de sortie selon le sens
+  // de la position ({x, y} : côté de l'écran d'où vient la notification)
+  static animationPresets = {
+    slide: ({ x, y }) => ({
+      enter: [
+        { opacity: 0, transform: `translate(${x * 100}%, ${y * 100}%)` },
+        { opacity: 1, transform: 'none' }
+      ],
+      exit: [
+        { opacity: 1, transform: 'none' },
+        { opacity: 0, transform: `translate(${x * 100}%, ${y * 100}%)` }
+      ]
+    }),
+    fade: () => ({
+      enter: [{ opacity: 0 }, { opacity: 1 }],
+      exit: [{ opacity: 1 }, { opacity: 0 }]
+    }),
+    scale: () => ({
+      enter: [
+        { opacity: 0, transform: 'scale(0.85)' },
+        { opacity: 1, transform: 'none' }
+      ],
+      exit: [
+        { opacity: 1, transform: 'none' },
+        { opacity: 0, transform: 'scale(0.85)' }
+      ]
+    }),
+    bounce: ({ x, y }) => ({
+      easing: 'ease-out',
+      enter: [
+        { opacity: 0, transform: `translate(${x * 100}%, ${y * 100}%)` },
+        { opacity: 1, transform: `translate(${-x * 8}%, ${-y * 8}%)`, offset: 0.6 },
+        { transform: `translate(${x * 3}%, ${y * 3}%)`, offset: 0.8 },
+        { opacity: 1, transform: 'none' }
+      ],
+      exit: [
+        { opacity: 1, transform: 'none' },
+        { opacity: 1, transform: `translate(${-x * 8}%, ${-y * 8}%)`, offset: 0.3 },
+        { opacity: 0, transform: `translate(${x * 100}%, ${y * 100}%)` }
+      ]
+    })
+  };
 
-  /**
-   * Vérifie s'il y a des notifications actives
-   * @returns {boolean} Vrai s'il y a des notifications
-   */
-  hasNotifications() {
-    return this.notifications.size > 0;
-  }
+  // Variantes visuelles des boutons d'action
+  static actionVariants = new Set(['default', 'primary', 'secondary', 'danger']);
+
+  // Slots nommés du composant alimentables via l'option slots
+  static slotNames = new Set(['icon', 'title', 'message', 'actions', 'footer']);
+
+  // Sens du balayage pour fermer selon la position du container
+  static swipeDirections = {
+    'top-left': 'left',
+    'bottom-left': 'left',
+    'top-right': 'right',
+    'bottom-right': 'right',
+    'top-center': 'up',
+    'bottom-center': 'down',
+    'center': 'right'
+  };
 
-  /**
-   * Change la position d'affichage des notifications
-   * @param {string} position - Nouvelle position
-   */
-  setPosition(position) {
-    if (!FpemNotif.positions.has(position)) {
-      console.warn(`[FPEM NOTIF] Position invalide: ${position}`);
-      return;
+  // Version du format de stockage des notifications persistées
+  static storageVersion = 3;
+
+  // Migrations du format de stockage, indexées par version cible
+  // Chaque fonction reçoit les données de la version précédente
+  static storageMigrations = {
+    // v2 : tableau brut, timestamp réécrit à chaque sauvegarde, textes échappés en HTML
+    // → v3 : objet versionné, date de création d'origine, texte brut
+    3: (notifications) => {
+      const unescape = (text) => typeof text !== 'string' ? text : text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, '\u00a0')
+        .replace(/&amp;/g, '&');
+
+      return {
+        notifications: (Array.isArray(notifications) ? notifications : []).map(({ timestamp, ...notifData }) => ({
+          ...notifData,
+          createdAt: notifData.createdAt ?? timestamp,
+          title: unescape(notifData.title),
+          message: unescape(notifData.message),
+          actions: Array.isArray(notifData.actions)
+            ? notifData.actions.map(action => ({ ...action, label: unescape(action?.label) }))
+            : notifData.actions
+        }))
+      };
     }
+  };
 
-    this.config.position = position;
+  // Fabriques des adaptateurs de stockage intégrés
+  static storageAdapters = {
+    local: () => new FpemWebStorageAdapter(localStorage),
+    session: () => new FpemWebStorageAdapter(sessionStorage),
+    memory: () => new FpemMemoryStorageAdapter(),
+    indexeddb: () => new FpemIndexedDBStorageAdapter()
+  };
+
+  // Stratégies de groupement des doublons
+  static groupStrategies = new Set(['ignore', 'replace', 'count', 'list']);
+
+  // Niveaux de priorité et leur rang (plus élevé = plus prioritaire)
+  static priorities = {
+    low: 0,
+    normal: 1,
+    high: 2,
+    critical: 3
+  };
+
+  /**
+   * Constructeur du gestionnaire de notifications
+   * @param {Object} options - Options de configuration
+   */
+  constructor(options = {}) {
+    // Fusion des options avec les valeurs par défaut
+    this.config = { ...FpemNotif.defaultOptions, ...options };
     
-    // Création du nouveau container si nécessaire
-    if (!this._containers.has(position)) {
-      const container = this._createContainer(position);
-      this._containers.set(position, container);
-      document.body.appendChild(container);
+    // Validation des options critiques
+    this._validateOptions();
+
+    // Compatibilité CSP : nonce des styles de repli et politique Trusted Types
+    FpemDom.configure(this.config);
+
+    // Collections pour la gestion des notifications
+    this.notifications = new Map();        // Notifications actives
+    this.queues = new Map();               // Files d'attente par position, triées par priorité puis ancienneté
+    this._leaderPending = new Map();       // Notifications leaderOnly en attente de l'élection
+    this.groups = new Map();               // Groupes de notifications similaires
+    this.history = new FpemNotificationHistory({ maxSize: this.config.historySize });
+    
+    // Compteurs et état interne
+    this._idCounter = 1;
+    this._queueCounter = 0;
+    this._isProcessingQueue = false;
+    this._persistenceKey = this._getStorageKey();
+    this._storage = this._createStorageAdapter(this.config.storage);
+    this._storageTask = Promise.resolve();
+    this._persistTimer = null;
+    
+    // Containers pour différentes positions
+    this._containers = new Map();
+
+    // Élément à refocaliser en quittant la zone de notifications
+    this._focusReturnTarget = null;
+    this._keyboardHandler = null;
+
+    // Registre des actions nommées (sérialisables par leur nom)
+    this._actionRegistry = new Map();
+
+    // Région d'annonce partagée pour les technologies d'assistance
+    this._announcer = new FpemAnnouncer();
+    
+    // Initialisation du système
+    this._initialize();
+  }
+
+  /**
+   * Valide les options de configuration du gestionnaire
+   * @throws {Error} Si les options sont invalides
+   */
+  _validateOptions() {
+    if (!FpemNotif.positions.has(this.config.position)) {
+      console.warn(`[FPEM NOTIF] Position invalide: ${this.config.position}, utilisation de 'bottom-right'`);
+      this.config.position = 'bottom-right';
+    }
+
+    if (this.config.maxVisible < 1 || this.config.maxVisible > 20) {
+      console.warn(`[FPEM NOTIF] maxVisible invalide: ${this.config.maxVisible}, utilisation de 5`);
+      this.config.maxVisible = 5;
+    }
+
+    if (this.config.duration < 0) {
+      console.warn(`[FPEM NOTIF] duration invalide: ${this.config.duration}, utilisation de 4000ms`);
+      this.config.duration = 4000;
+    }
+
+    if (!FpemNotif.groupStrategies.has(this.config.groupStrategy)) {
+      console.warn(`[FPEM NOTIF] groupStrategy invalide: ${this.config.groupStrategy}, utilisation de 'count'`);
+      this.config.groupStrategy = 'count';
+    }
+
+    Object.entries(this.config.groupStrategies || {}).forEach(([type, strategy]) => {
+      if (!FpemNotif.groupStrategies.has(strategy)) {
+        console.warn(`[FPEM NOTIF] Stratégie de groupement invalide pour ${type}: ${strategy}`);
+        delete this.config.groupStrategies[type];
+      }
+    });
+
+    // Une migration ne s'exécute que jusqu'à la version courante du format
+    Object.keys(this.config.storageMigrations || {}).forEach((version) => {
+      const target = Number(version);
+      if (!Number.isInteger(target) || target < 1 || target > FpemNotif.storageVersion) {
+        console.warn(`[FPEM NOTIF] Migration de stockage ignorée: v${version} (format courant v${FpemNotif.storageVersion})`);
+        delete this.config.storageMigrations[version];
+      }
+    });
+
+    if (!['auto', 'newest-first', 'newest-last'].includes(this.config.stacking)) {
+      console.warn(`[FPEM NOTIF] stacking invalide: ${this.config.stacking}, utilisation de 'auto'`);
+      this.config.stacking = 'auto';
+    }
+
+    if (!FpemNotif.liveModes.has(this.config.ariaLive)) {
+      console.warn(`[FPEM NOTIF] ariaLive invalide: ${this.config.ariaLive}, utilisation de 'polite'`);
+      this.config.ariaLive = 'polite';
+    }
+
+    // Textes d'annonce : les gabarits fournis complètent ceux par défaut, null désactive
+    if (this.config.announcements !== null) {
+      if (typeof this.config.announcements !== 'object') {
+        console.warn(`[FPEM NOTIF] announcements invalide: ${this.config.announcements}, utilisation des textes par défaut`);
+        this.config.announcements = {};
+      }
+      this.config.announcements = { ...FpemNotif.defaultOptions.announcements, ...this.config.announcements };
+    }
+
+    if (this.config.focusHotkey !== null && typeof this.config.focusHotkey !== 'string') {
+      console.warn(`[FPEM NOTIF] focusHotkey invalide: ${this.config.focusHotkey}, utilisation de 'Alt+T'`);
+      this.config.focusHotkey = 'Alt+T';
+    }
+
+    if (!this._isValidAnimation(this.config.animation)) {
+      console.warn(`[FPEM NOTIF] animation invalide: ${this.config.animation}, utilisation de 'slide'`);
+      this.config.animation = 'slide';
+    }
+
+    if (!FpemNotif.themes.has(this.config.theme)) {
+      console.warn(`[FPEM NOTIF] theme invalide: ${this.config.theme}, utilisation de 'auto'`);
+      this.config.theme = 'auto';
+    }
+
+    if (!FpemRichText.formats.has(this.config.format)) {
+      console.warn(`[FPEM NOTIF] format invalide: ${this.config.format}, utilisation de 'text'`);
+      this.config.format = 'text';
+    }
+
+    if (!(this.config.swipeThreshold > 0) || !(this.config.swipeVelocity > 0)) {
+      console.warn(`[FPEM NOTIF] Seuils de balayage invalides, utilisation de 80px et 0.5px/ms`);
+      this.config.swipeThreshold = this.config.swipeThreshold > 0 ? this.config.swipeThreshold : 80;
+      this.config.swipeVelocity = this.config.swipeVelocity > 0 ? this.config.swipeVelocity : 0.5;
+    }
+
+    if (!['list', 'collapsed'].includes(this.config.stackMode)) {
+      console.warn(`[FPEM NOTIF] stackMode invalide: ${this.config.stackMode}, utilisation de 'list'`);
+      this.config.stackMode = 'list';
+    }
+
+    // Validation des réglages propres à chaque position
+    const positionOptions = this.config.positionOptions || {};
+    this.config.positionOptions = {};
+    Object.entries(positionOptions).forEach(([position, overrides]) => {
+      if (!FpemNotif.positions.has(position)) {
+        console.warn(`[FPEM NOTIF] Position invalide dans positionOptions: ${position}`);
+        return;
+      }
+
+      const validated = { ...overrides };
+      if (validated.maxVisible !== undefined && (validated.maxVisible < 1 || validated.maxVisible > 20)) {
+        console.warn(`[FPEM NOTIF] maxVisible invalide pour ${position}: ${validated.maxVisible}, utilisation de ${this.config.maxVisible}`);
+        delete validated.maxVisible;
+      }
+      if (validated.stacking !== undefined && !['auto', 'newest-first', 'newest-last'].includes(validated.stacking)) {
+        console.warn(`[FPEM NOTIF] stacking invalide pour ${position}: ${validated.stacking}`);
+        delete validated.stacking;
+      }
+      if (validated.stackMode !== undefined && !['list', 'collapsed'].includes(validated.stackMode)) {
+        console.warn(`[FPEM NOTIF] stackMode invalide pour ${position}: ${validated.stackMode}`);
+        delete validated.stackMode;
+      }
+
+      this.config.positionOptions[position] = validated;
+    });
+  }
+
+  /**
+   * Retourne la configuration effective d'une position
+   * Les réglages de positionOptions surchargent les valeurs globales
+   * @param {string} position - Position concernée
+   * @returns {Object} Configuration {maxVisible, maxQueue, stacking, gap, offsetX, offsetY, stackMode, stackPeek, stackMaxLayers}
+   */
+  _getPositionConfig(position) {
+    return {
+      maxVisible: this.config.maxVisible,
+      maxQueue: this.config.maxQueue,
+      stacking: this.config.stacking,
+      gap: this.config.gap,
+      offsetX: this.config.offsetX,
+      offsetY: this.config.offsetY,
+      stackMode: this.config.stackMode,
+      stackPeek: this.config.stackPeek,
+      stackMaxLayers: this.config.stackMaxLayers,
+      ...(this.config.positionOptions[position] || {})
+    };
+  }
+
+  /**
+   * Convertit une longueur numérique en pixels, laisse les chaînes CSS intactes
+   * @param {number|string} value - Longueur à convertir
+   * @returns {string} Longueur CSS
+   */
+  _toCssLength(value) {
+    return typeof value === 'number' ? `${value}px` : value;
+  }
+
+  /**
+   * Compte les notifications affichées dans une position
+   * @param {string} position - Position concernée
+   * @returns {number} Nombre de notifications dans cette position
+   */
+  _countVisibleAt(position) {
+    let count = 0;
+    this.notifications.forEach(notification => {
+      if (notification.dataset.position === position) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Initialise le système de notifications
+   */
+  _initialize() {
+    // Création du container principal
+    this._createMainContainer();
+    
+    // Configuration des raccourcis clavier globaux
+    if (this.config.enableKeyboardShortcuts) {
+      this._setupGlobalKeyboardShortcuts();
+    }
+    
+    // Restauration des notifications persistantes
+    if (this.config.enablePersistence) {
+      this._restorePersistedNotifications();
+    }
+
+    // Synchronisation entre onglets
+    if (this.config.enableSync) {
+      this._setupTabSync();
+    }
+    
+    // Configuration de la détection du thème
+    this._setupThemeDetection();
+    
+    // Nettoyage automatique périodique
+    this._setupPeriodicCleanup();
+  }
+
+  /**
+   * Crée le container principal pour la position définie
+   */
+  _createMainContainer() {
+    const container = this._createContainer(this.config.position);
+    this._containers.set(this.config.position, container);
+    document.body.appendChild(container);
+  }
+
+  /**
+   * Crée un container pour une position spécifique
+   * @param {string} position - Position du container
+   * @returns {HTMLElement} Container créé
+   */
+  _createContainer(position) {
+    const container = document.createElement('div');
+    container.className = 'fpem-notifications-container';
+    container.setAttribute('role', 'region');
+    container.setAttribute('aria-label', 'Zone de notifications');
+    container.dataset.position = position;
+
+    // Styles CSS complets pour le container
+    Object.assign(container.style, {
+      position: 'fixed',
+      zIndex: '9999999',
+      display: 'flex',
+      flexDirection: 'column',
+      maxWidth: '420px',
+      minWidth: '280px',
+      pointerEvents: 'none',
+      fontFamily: this.config.fontFamily || 'system-ui, sans-serif',
+      fontSize: '14px'
+    });
+
+    this._applyContainerPosition(container, position);
+    
+    // Event listener pour les demandes de fermeture
+    container.addEventListener('fpemnotif:close-requested', (e) => {
+      this._handleCloseRequest(e);
+    });
+
+    // Relais des actions déclenchées sur les notifications
+    container.addEventListener('fpemnotif:action-invoked', (e) => {
+      const { actionId, notification } = e.detail;
+      this._emitEvent('action', { actionId, id: notification.dataset.id, notification });
+    });
+
+    // Dépliage de la pile repliée au survol et au focus
+    let collapseTimer = null;
+    const setExpanded = (expanded) => {
+      clearTimeout(collapseTimer);
+      collapseTimer = null;
+      if (expanded) container.dataset.expanded = '';
+      else delete container.dataset.expanded;
+      this._layoutStack(position);
+    };
+    container.addEventListener('pointerenter', () => setExpanded(true));
+    // Le container ignore le pointeur : traverser l'espace entre deux notifications
+    // le fait quitter brièvement, le repli attend donc un court délai
+    container.addEventListener('pointerleave', () => {
+      clearTimeout(collapseTimer);
+      collapseTimer = setTimeout(() => setExpanded(false), 150);
+    });
+    container.addEventListener('focusin', (e) => {
+      // Mémorisation de l'élément d'origine pour y rendre le focus
+      if (e.relatedTarget && !this._isInNotificationRegion(e.relatedTarget)) {
+        this._focusReturnTarget = e.relatedTarget;
+      }
+
+      const notification = e.target.closest('fpem-notification');
+      if (notification) this._updateRovingTabIndex(container, notification);
+
+      // Le focus automatique d'une nouvelle notification ne déplie pas la pile
+      if (!notification?._isAutoFocusing) setExpanded(true);
+    });
+    container.addEventListener('focusout', (e) => {
+      if (!container.contains(e.relatedTarget)) setExpanded(false);
+    });
+
+    // Navigation entre notifications aux flèches (tabindex itinérant)
+    container.addEventListener('keydown', (e) => this._handleRegionKeydown(e, container));
+
+    return container;
+  }
+
+  /**
+   * Notifications d'un container atteignables au clavier, dans l'ordre visuel
+   * @param {HTMLElement} container - Container concerné
+   * @returns {Array<HTMLElement>} Notifications navigables
+   */
+  _getNavigableNotifications(container) {
+    const items = Array.from(container.children)
+      .filter(el => el.tagName === 'FPEM-NOTIFICATION' && !el._isRemoving);
+    return container.style.flexDirection === 'column-reverse' ? items.reverse() : items;
+  }
+
+  /**
+   * Ne laisse qu'une notification par container dans l'ordre de tabulation
+   * @param {HTMLElement} container - Container concerné
+   * @param {HTMLElement} [active] - Notification à rendre atteignable (sinon la courante ou la plus récente)
+   */
+  _updateRovingTabIndex(container, active = null) {
+    const items = this._getNavigableNotifications(container);
+    if (active) container._activeNotification = active;
+    if (!items.includes(container._activeNotification)) {
+      container._activeNotification = Array.from(container.children)
+        .filter(el => items.includes(el))
+        .pop() || null;
+    }
+
+    Array.from(container.children).forEach(el => {
+      if (el.tagName === 'FPEM-NOTIFICATION') el.tabbable = el === container._activeNotification;
+    });
+  }
+
+  /**
+   * Flèches haut/bas, Début et Fin pour passer d'une notification à l'autre
+   * @param {KeyboardEvent} event - Événement clavier
+   * @param {HTMLElement} container - Container concerné
+   */
+  _handleRegionKeydown(event, container) {
+    // Saisie dans un contenu projeté : les flèches restent au champ
+    const current = event.target;
+    if (current.tagName !== 'FPEM-NOTIFICATION' || !['ArrowUp', 'ArrowDown', 'Home', 'End'].includes(event.key)) return;
+
+    const items = this._getNavigableNotifications(container);
+    const index = items.indexOf(current);
+    if (index === -1) return;
+
+    const target = {
+      ArrowUp: items[index - 1],
+      ArrowDown: items[index + 1],
+      Home: items[0],
+      End: items[items.length - 1]
+    }[event.key];
+
+    event.preventDefault();
+    if (target && target !== current) {
+      this._updateRovingTabIndex(container, target);
+      target.focus();
+    }
+  }
+
+  /**
+   * Indique si un élément appartient à une zone de notifications
+   * @param {Node} element - Élément à tester
+   * @returns {boolean} Vrai si l'élément est dans un container
+   */
+  _isInNotificationRegion(element) {
+    return !!element && Array.from(this._containers.values()).some(container => container.contains(element));
+  }
+
+  /**
+   * Déplace le focus dans la zone de notifications, ou le rend à son origine s'il y est déjà
+   */
+  _toggleRegionFocus() {
+    if (this._isInNotificationRegion(document.activeElement)) {
+      this._restoreFocus();
+      return;
+    }
+
+    // Entrée sur la notification la plus récente
+    const latest = Array.from(this.notifications.values()).filter(el => !el._isRemoving && el.isConnected).pop();
+    if (!latest) return;
+
+    this._updateRovingTabIndex(latest.parentNode, latest);
+    this._focusReturnTarget = FpemNotif._getDeepActiveElement();
+    latest.focus();
+  }
+
+  /**
+   * Rend le focus à l'élément actif avant l'entrée dans la zone de notifications
+   */
+  _restoreFocus() {
+    const target = this._focusReturnTarget;
+    this._focusReturnTarget = null;
+
+    if (target && target.isConnected && typeof target.focus === 'function') {
+      target.focus({ preventScroll: true });
+    } else if (this._isInNotificationRegion(document.activeElement)) {
+      document.activeElement.blur();
+    }
+  }
+
+  /**
+   * Élément réellement actif, y compris dans les Shadow DOM ouverts
+   * @returns {Element|null} Élément actif
+   */
+  static _getDeepActiveElement() {
+    let element = document.activeElement;
+    while (element?.shadowRoot?.activeElement) {
+      element = element.shadowRoot.activeElement;
+    }
+    return element;
+  }
+
+  /**
+   * Dispose les notifications d'une position selon le mode d'empilement
+   * En mode replié, seule la plus récente reste dans le flux : les plus anciennes
+   * sont superposées derrière elle, décalées et réduites, avec un indicateur "+N"
+   * @param {string} position - Position à disposer
+   */
+  _layoutStack(position) {
+    const container = this._containers.get(position);
+    if (!container) return;
+
+    const { stackMode, stackPeek, stackMaxLayers } = this._getPositionConfig(position);
+
+    // De la plus récente à la plus ancienne, sans celles en cours de fermeture
+    const items = Array.from(container.children)
+      .filter(el => el.tagName === 'FPEM-NOTIFICATION' && !el._isRemoving)
+      .reverse();
+
+    const collapsed = stackMode === 'collapsed' && !('expanded' in container.dataset) && items.length > 1;
+    const hint = this._getStackHint(container);
+
+    // Remise à plat : liste complète dans le flux
+    const resetItem = (item) => {
+      Object.assign(item.style, {
+        position: '', top: '', bottom: '', left: '', right: '',
+        translate: '', scale: '', zIndex: '', opacity: ''
+      });
+    };
+
+    if (!collapsed) {
+      container.querySelectorAll('fpem-notification').forEach(resetItem);
+      hint.style.display = 'none';
+      delete container.dataset.collapsed;
+      return;
+    }
+
+    container.dataset.collapsed = '';
+
+    // Les couches dépassent côté opposé au bord d'ancrage de l'écran
+    const anchoredBottom = position.startsWith('bottom');
+    const direction = anchoredBottom ? -1 : 1;
+    const horizontal = position.endsWith('left') ? 'left' : position.endsWith('right') ? 'right' : 'center';
+    const layers = Math.min(items.length - 1, stackMaxLayers);
+
+    items.forEach((item, index) => {
+      if (index === 0) {
+        resetItem(item);
+        Object.assign(item.style, { position: 'relative', zIndex: String(items.length + 1) });
+        return;
+      }
+
+      const depth = Math.min(index, stackMaxLayers);
+      Object.assign(item.style, {
+        position: 'absolute',
+        top: anchoredBottom ? 'auto' : '0',
+        bottom: anchoredBottom ? '0' : 'auto',
+        left: horizontal === 'right' ? 'auto' : horizontal === 'center' ? '50%' : '0',
+        right: horizontal === 'right' ? '0' : 'auto',
+        translate: `${horizontal === 'center' ? '-50%' : '0'} ${direction * depth * stackPeek}px`,
+        scale: String(1 - depth * 0.05),
+        zIndex: String(items.length - index),
+        opacity: index > stackMaxLayers ? '0' : ''
+      });
+    });
+
+    // Indicateur du nombre de notifications masquées, après les couches
+    const hidden = items.length - 1;
+    hint.textContent = `+${hidden} autre${hidden > 1 ? 's' : ''}`;
+    hint.style.display = '';
+    hint.style.order = '1';
+    hint.style.margin = anchoredBottom
+      ? `0 0 ${layers * stackPeek}px 0`
+      : `${layers * stackPeek}px 0 0 0`;
+    container.appendChild(hint);
+  }
+
+  /**
+   * Obtient ou crée l'indicateur "+N" d'une pile repliée
+   * @param {HTMLElement} container - Container concerné
+   * @returns {HTMLElement} Indicateur
+   */
+  _getStackHint(container) {
+    let hint = container.querySelector('.fpem-stack-hint');
+    if (!hint) {
+      hint = document.createElement('div');
+      hint.className = 'fpem-stack-hint';
+      hint.setAttribute('aria-hidden', 'true');
+      Object.assign(hint.style, {
+        display: 'none',
+        pointerEvents: 'auto',
+        cursor: 'pointer',
+        padding: '0.125rem 0.5rem',
+        borderRadius: '999px',
+        background: 'rgba(0,0,0,0.6)',
+        color: '#ffffff',
+        fontSize: '12px',
+        lineHeight: '1.5'
+      });
+      container.appendChild(hint);
     }
+    return hint;
+  }
+
+  /**
+   * Applique le positionnement CSS au container
+   * @param {HTMLElement} container - Container à positionner
+   * @param {string} position - Position désirée
+   */
+  _applyContainerPosition(container, position) {
+    const { stacking, gap, offsetX, offsetY } = this._getPositionConfig(position);
+    const x = this._toCssLength(offsetX);
+    const y = this._toCssLength(offsetY);
+
+    const positions = {
+      'top-left': { 
+        top: y, left: x, right: 'auto', bottom: 'auto',
+        alignItems: 'flex-start', transform: 'none',
+        flexDirection: 'column'
+      },
+      'top-right': { 
+        top: y, right: x, left: 'auto', bottom: 'auto',
+        alignItems: 'flex-end', transform: 'none',
+        flexDirection: 'column'
+      },
+      'bottom-left': { 
+        bottom: y, left: x, right: 'auto', top: 'auto',
+        alignItems: 'flex-start', transform: 'none',
+        flexDirection: 'column-reverse'
+      },
+      'bottom-right': { 
+        bottom: y, right: x, left: 'auto', top: 'auto',
+        alignItems: 'flex-end', transform: 'none',
+        flexDirection: 'column-reverse'
+      },
+      'top-center': { 
+        top: y, left: '50%', right: 'auto', bottom: 'auto',
+        alignItems: 'center', transform: 'translateX(-50%)',
+        flexDirection: 'column'
+      },
+      'bottom-center': { 
+        bottom: y, left: '50%', right: 'auto', top: 'auto',
+        alignItems: 'center', transform: 'translateX(-50%)',
+        flexDirection: 'column-reverse'
+      },
+      'center': { 
+        top: '50%', left: '50%', right: 'auto', bottom: 'auto',
+        alignItems: 'center', transform: 'translate(-50%, -50%)',
+        flexDirection: 'column'
+      }
+    };
+
+    const pos = positions[position] || positions['bottom-right'];
+    
+    Object.entries(pos).forEach(([prop, value]) => {
+      if (prop === 'flexDirection') {
+        container.style.flexDirection = value;
+      } else {
+        container.style[prop] = value;
+      }
+    });
+
+    // Sens d'empilement explicite : la plus récente en haut ou en bas de la pile
+    if (stacking === 'newest-first') {
+      container.style.flexDirection = 'column-reverse';
+    } else if (stacking === 'newest-last') {
+      container.style.flexDirection = 'column';
+    }
+
+    container.style.gap = this._toCssLength(gap);
+  }
+
+  /**
+   * Configure les raccourcis clavier globaux
+   */
+  _setupGlobalKeyboardShortcuts() {
+    this._keyboardHandler = (e) => {
+      // Échap pour fermer toutes les notifications non persistantes
+      if (e.key === 'Escape' && e.ctrlKey) {
+        e.preventDefault();
+        this.clearNonPersistent();
+      }
+      
+      // Ctrl+Shift+N pour afficher le nombre de notifications
+      if (e.key === 'N' && e.ctrlKey && e.shiftKey) {
+        e.preventDefault();
+        this._announceNotificationCount();
+      }
+
+      // Raccourci d'accès à la zone de notifications (aller-retour)
+      if (this.config.focusHotkey && FpemNotification._matchesShortcut(e, this.config.focusHotkey)) {
+        e.preventDefault();
+        this._toggleRegionFocus();
+      }
+    };
+    document.addEventListener('keydown', this._keyboardHandler);
+  }
+
+  /**
+   * Annonce le nombre de notifications pour l'accessibilité
+   */
+  _announceNotificationCount() {
+    const count = this.notifications.size;
+    const message = count === 0 
+      ? 'Aucune notification active'
+      : `${count} notification${count > 1 ? 's' : ''} active${count > 1 ? 's' : ''}`;
+    
+    this._announcer.announce(message, { key: 'count' });
+  }
+
+  /**
+   * Détermine le mode d'annonce d'une notification
+   * Option explicite, puis mode du type, puis configuration globale
+   * @param {string} type - Type de notification
+   * @param {string} ariaLive - Mode demandé dans les options
+   * @returns {string} Mode d'annonce (polite, assertive, off)
+   */
+  _resolvePoliteness(type, ariaLive) {
+    return ariaLive || FpemNotif.types.get(type)?.ariaLive || this.config.ariaLive;
+  }
+
+  /**
+   * Applique le mode d'annonce à une notification
+   * Quand la région partagée annonce, la notification reste muette (sans rôle alert)
+   * pour éviter une double lecture
+   * @param {HTMLElement} notification - Notification concernée
+   * @param {string} politeness - Mode d'annonce (polite, assertive, off)
+   */
+  _applyPoliteness(notification, politeness) {
+    notification._politeness = politeness;
+    notification.live = politeness;
+    notification.silent = !!this.config.announcements;
+  }
+
+  /**
+   * Annonce une notification via la région partagée
+   * Les gabarits acceptent {title}, {message}, {count} et {type},
+   * ou une fonction recevant ces valeurs et la notification
+   * @param {HTMLElement} notification - Notification concernée
+   * @param {string} event - Gabarit à utiliser (added, grouped, updated)
+   * @param {Object} values - Valeurs remplaçant celles de la notification
+   */
+  _announce(notification, event, values = {}) {
+    const template = this.config.announcements?.[event];
+    if (!template || notification._politeness === 'off') return;
+
+    // Texte brut : le markdown et le HTML ne doivent pas être lus tels quels
+    const toPlainText = (content) => content
+      ? FpemRichText.render(content, notification.format).textContent
+      : '';
+    const type = notification.type;
+    const context = {
+      title: notification.title || '',
+      message: toPlainText(values.message ?? notification.message),
+      count: values.count ?? notification.count,
+      type: FpemNotif.types.get(type)?.label || type,
+      id: notification.dataset.id
+    };
+
+    let text;
+    try {
+      text = typeof template === 'function'
+        ? template({ ...context, notification })
+        : String(template).replace(/\{(\w+)\}/g, (match, name) => context[name] ?? '');
+    } catch (error) {
+      console.error(`[FPEM NOTIF] Erreur dans le gabarit d'annonce ${event}:`, error);
+      return;
+    }
+
+    // Ponctuation orpheline laissée par un titre ou un message vide
+    text = String(text ?? '').replace(/\s+/g, ' ').replace(/^[\s.,;:]+|[\s,;:]+$/g, '');
+    this._announcer.announce(text, { politeness: notification._politeness, key: notification.dataset.id });
+  }
+
+  /**
+   * Calcule la clé de stockage propre à ce gestionnaire
+   * L'espace de noms évite que deux applications d'une même origine s'écrasent
+   * @returns {string} Clé de stockage
+   */
+  _getStorageKey() {
+    if (this.config.storageKey) return this.config.storageKey;
+    return this.config.namespace
+      ? `fpem-notifications:${this.config.namespace}`
+      : 'fpem-notifications-v2';
+  }
+
+  /**
+   * Crée l'adaptateur de stockage configuré
+   * Replie sur le stockage en mémoire si le stockage demandé est indisponible
+   * @param {string|Object} storage - Nom d'adaptateur intégré ou adaptateur personnalisé
+   * @returns {Object} Adaptateur {getItem, setItem, removeItem}
+   */
+  _createStorageAdapter(storage) {
+    if (storage && typeof storage === 'object') {
+      const isValid = ['getItem', 'setItem', 'removeItem']
+        .every(method => typeof storage[method] === 'function');
+      if (isValid) return storage;
+
+      console.warn('[FPEM NOTIF] Adaptateur de stockage invalide, utilisation du stockage en mémoire');
+      return new FpemMemoryStorageAdapter();
+    }
+
+    const factory = FpemNotif.storageAdapters[storage];
+    if (!factory) {
+      console.warn(`[FPEM NOTIF] Stockage inconnu: ${storage}, utilisation de 'local'`);
+      return this._createStorageAdapter('local');
+    }
+
+    try {
+      return factory();
+    } catch (error) {
+      console.warn(`[FPEM NOTIF] Stockage '${storage}' indisponible, utilisation du stockage en mémoire:`, error);
+      return new FpemMemoryStorageAdapter();
+    }
+  }
+
+  /**
+   * Met les données stockées au format courant en appliquant les migrations
+   * @param {Array|Object} stored - Données brutes lues dans le stockage
+   * @returns {Array|null} Notifications au format courant, ou null si illisibles
+   */
+  _migrateStoredData(stored) {
+    // Le format v2 historique est un tableau brut sans numéro de version
+    let version = Array.isArray(stored) ? 2 : stored?.version;
+    let data = stored;
+
+    if (typeof version !== 'number') return null;
+
+    if (version > FpemNotif.storageVersion) {
+      console.warn(`[FPEM NOTIF] Format de stockage v${version} plus récent que v${FpemNotif.storageVersion}, restauration ignorée`);
+      return null;
+    }
+
+    const migrations = { ...FpemNotif.storageMigrations, ...this.config.storageMigrations };
+    while (version < FpemNotif.storageVersion) {
+      version++;
+      if (migrations[version]) {
+        data = migrations[version](data);
+      }
+    }
+
+    return Array.isArray(data?.notifications) ? data.notifications : null;
+  }
+
+  /**
+   * Restaure les notifications persistantes depuis le stockage configuré
+   */
+  async _restorePersistedNotifications() {
+    try {
+      const stored = await this._storage.getItem(this._persistenceKey);
+      if (!stored) return;
+
+      const notifications = this._migrateStoredData(stored);
+      if (!notifications) return;
+
+      notifications.forEach(notifData => {
+        if (notifData.persistent && this._shouldRestoreNotification(notifData)) {
+          // Restauration avec un délai pour éviter le spam au chargement
+          setTimeout(() => {
+            this.notify(notifData.type, {
+              ...notifData,
+              restored: true
+            });
+          }, 500);
+        }
+      });
+    } catch (error) {
+      console.warn('[FPEM NOTIF] Erreur lors de la restauration des notifications:', error);
+    }
+  }
+
+  /**
+   * Détermine si une notification doit être restaurée
+   * @param {Object} notifData - Données de la notification
+   * @returns {boolean} Vrai si la notification doit être restaurée
+   */
+  _shouldRestoreNotification(notifData) {
+    const now = Date.now();
+
+    // Expiration propre à la notification
+    if (notifData.expiresAt && now >= notifData.expiresAt) return false;
+
+    // Âge maximal configuré au niveau du gestionnaire (0 ou null = illimité)
+    const maxAge = this.config.persistenceMaxAge;
+    if (maxAge && now - (notifData.createdAt || 0) >= maxAge) return false;
+
+    return notifData.restoreOnLoad !== false;
+  }
+
+  /**
+   * Capture l'état complet d'une notification sous forme sérialisable
+   * Utilisé pour la persistance et l'export JSON
+   * @param {HTMLElement} notif - Notification à sérialiser
+   * @returns {Object} État de la notification
+   */
+  _serializeNotification(notif) {
+    const expiresAt = parseInt(notif.dataset.expiresAt) || undefined;
+
+    return {
+      id: notif.dataset.id,
+      type: notif.type,
+      title: notif.title,
+      message: notif.message,
+      format: notif.format,
+      icon: notif.icon,
+      persistent: notif.persistent,
+      showCloseButton: notif.showCloseButton,
+      showProgress: notif.hasAttribute('progress'),
+      progress: notif.hasAttribute('progress') ? notif.progress : undefined,
+      position: notif.dataset.position,
+      priority: notif.dataset.priority,
+      theme: notif._theme,
+      createdAt: parseInt(notif.dataset.timestamp) || Date.now(),
+      expiresAt,
+      restoreOnLoad: notif.dataset.restoreOnLoad !== 'false',
+      swipeable: notif.swipeDirection !== 'none',
+      actions: this._serializeActions(notif._customActions)
+    };
+  }
+
+  /**
+   * Sauvegarde les notifications persistantes
+   */
+  _persistNotifications() {
+    if (!this.config.enablePersistence) return;
+
+    // Une sauvegarde immédiate remplace celle programmée
+    clearTimeout(this._persistTimer);
+    this._persistTimer = null;
+
+    try {
+      const notifications = Array.from(this.notifications.values())
+        // Le contenu personnalisé (render) ne survit pas à un rechargement
+        .filter(notif => notif.persistent && !notif._hasCustomRender)
+        .map(notif => this._serializeNotification(notif));
+
+      const toStore = { version: FpemNotif.storageVersion, notifications };
+      const key = this._persistenceKey;
+
+      // Écritures chaînées pour garder l'ordre avec les stockages asynchrones
+      this._storageTask = this._storageTask
+        .then(() => this._storage.setItem(key, toStore))
+        .catch(error => console.warn('[FPEM NOTIF] Erreur lors de la sauvegarde:', error));
+    } catch (error) {
+      console.warn('[FPEM NOTIF] Erreur lors de la sauvegarde:', error);
+    }
+  }
+
+  /**
+   * Programme une sauvegarde différée, les demandes rapprochées n'en font qu'une
+   */
+  _schedulePersist() {
+    if (!this.config.enablePersistence || this._persistTimer) return;
+    this._persistTimer = setTimeout(() => this._persistNotifications(), 250);
+  }
+
+  /**
+   * Ouvre le canal de synchronisation propre à l'espace de noms du gestionnaire
+   */
+  _setupTabSync() {
+    this._isApplyingSync = false;
+    this._tabSync = new FpemTabSync(
+      `fpem-notif-sync:${this._persistenceKey}`,
+      (kind, payload) => this._handleSyncMessage(kind, payload)
+    );
+  }
+
+  /**
+   * Détermine si une notification doit être reflétée dans les autres onglets
+   * Par défaut seules les notifications persistantes le sont
+   * @param {Object} options - Options de la notification
+   * @returns {boolean} Vrai si la notification est synchronisée
+   */
+  _shouldSync(options) {
+    if (!this._tabSync || options.leaderOnly || options.render) return false;
+    return options.sync ?? !!options.persistent;
+  }
+
+  /**
+   * Prépare des options transmissibles entre onglets (sans fonctions)
+   * @param {Object} options - Options de la notification
+   * @returns {Object} Options sérialisables
+   */
+  _toSyncOptions(options) {
+    const { actions, onClose, render, slots, ...serializable } = options;
+    if (actions) {
+      serializable.actions = this._serializeActions(actions);
+    }
+
+    // Seuls les slots textuels peuvent être transmis
+    if (slots) {
+      serializable.slots = Object.fromEntries(
+        Object.entries(slots).filter(([, content]) => typeof content === 'string')
+      );
+    }
+    return JSON.parse(JSON.stringify(serializable));
+  }
+
+  /**
+   * Applique un changement reçu d'un autre onglet sans le rediffuser
+   * @param {string} kind - Nature du changement (show, update, dismiss)
+   * @param {Object} payload - Données du changement
+   */
+  _handleSyncMessage(kind, payload) {
+    this._isApplyingSync = true;
+
+    try {
+      switch (kind) {
+        case 'show':
+          this.notify(payload.type, { ...payload.options, id: payload.id, sync: true });
+          break;
+
+        case 'update':
+          this.update(payload.id, payload.options);
+          break;
+
+        case 'dismiss':
+          this.removeById(payload.id, 'sync');
+          break;
+      }
+    } catch (error) {
+      console.warn('[FPEM NOTIF] Erreur lors de l\'application d\'un changement distant:', error);
+    } finally {
+      this._isApplyingSync = false;
+    }
+  }
+
+  /**
+   * Indique si cet onglet est l'onglet leader de l'espace de noms
+   * Toujours vrai quand la synchronisation est désactivée
+   * @returns {boolean} Vrai si cet onglet est leader
+   */
+  isLeaderTab() {
+    return this._tabSync ? this._tabSync.isLeader() : true;
+  }
+
+  /**
+   * Configure la détection des préférences système pour le thème 'auto'
+   * et applique le thème courant
+   */
+  _setupThemeDetection() {
+    this._themeQueries = {
+      dark: window.matchMedia('(prefers-color-scheme: dark)'),
+      contrast: window.matchMedia('(prefers-contrast: more)')
+    };
+    this._themeChangeHandler = () => {
+      if (this.config.theme === 'auto') this._applyThemeToAll();
+    };
+
+    Object.values(this._themeQueries).forEach(query => {
+      query.addEventListener?.('change', this._themeChangeHandler);
+    });
+
+    this._applyThemeToAll();
+  }
+
+  /**
+   * Résout le nom du thème effectif ('auto' selon les préférences système)
+   * @param {string} name - Nom du thème (thème global par défaut)
+   * @returns {string} Thème effectif
+   */
+  _resolveThemeName(name = this.config.theme) {
+    if (name !== 'auto') return FpemNotif.themes.has(name) ? name : 'auto';
+    if (this._themeQueries?.contrast.matches) return 'high-contrast';
+    if (this._themeQueries?.dark.matches) return 'dark';
+    return 'auto';
+  }
+
+  /**
+   * Applique le thème courant à toutes les notifications affichées
+   */
+  _applyThemeToAll() {
+    const resolved = this._resolveThemeName();
+    document.documentElement.setAttribute('data-fpem-theme', resolved === 'auto' ? 'light' : resolved);
+    this.notifications.forEach(notification => this._applyTheme(notification));
+  }
+
+  /**
+   * Applique à une notification les variables du thème, puis son thème propre par-dessus
+   * Le thème propre est un nom de thème enregistré ou un objet (voir _applyCustomTheme)
+   * @param {HTMLElement} notification - Élément notification
+   */
+  _applyTheme(notification) {
+    const ownTheme = notification._theme;
+    const themeName = this._resolveThemeName(typeof ownTheme === 'string' ? ownTheme : this.config.theme);
+    const tokens = FpemNotif.themes.get(themeName) || {};
+
+    // Retrait des variables du thème précédent
+    (notification._themeTokens || []).forEach(token => notification.style.removeProperty(token));
+    Object.entries(tokens).forEach(([token, value]) => notification.style.setProperty(token, value));
+    notification._themeTokens = Object.keys(tokens);
+
+    if (ownTheme && typeof ownTheme === 'object') {
+      this._applyCustomTheme(notification, ownTheme);
+    }
+  }
+
+  /**
+   * Met en place un nettoyage périodique automatique
+   */
+  _setupPeriodicCleanup() {
+    // Nettoyage toutes les 5 minutes
+    setInterval(() => {
+      this._cleanupExpiredGroups();
+      this._processQueue();
+    }, 5 * 60 * 1000);
+  }
+
+  /**
+   * Nettoie les groupes de notifications expirés
+   */
+  _cleanupExpiredGroups() {
+    const now = Date.now();
+    const expiredGroups = [];
+
+    this.groups.forEach((group, key) => {
+      if (now - group.lastUpdate > group.timeout) {
+        expiredGroups.push(key);
+      }
+    });
+
+    expiredGroups.forEach(key => this.groups.delete(key));
+  }
+
+  /**
+   * Génère un ID unique pour les notifications
+   * @returns {string} ID unique
+   */
+  _generateId() {
+    return `fpem-notif-${this._idCounter++}-${Date.now()}`;
+  }
+
+  /**
+   * Génère une clé de groupe pour des notifications similaires
+   * Une clé explicite (dedupeKey) sur la notification est toujours prise en compte,
+   * sinon la fonction du gestionnaire ou le couple type|titre si groupSimilar est actif
+   * @param {string} type - Type de notification
+   * @param {Object} options - Options de la notification
+   * @returns {string|null} Clé de groupe
+   */
+  _generateGroupKey(type, options) {
+    if (options.dedupeKey !== undefined && options.dedupeKey !== null) {
+      const key = typeof options.dedupeKey === 'function'
+        ? options.dedupeKey(type, options)
+        : options.dedupeKey;
+      return key ? String(key) : null;
+    }
+
+    if (!this.config.groupSimilar) return null;
+
+    if (typeof this.config.dedupeKey === 'function') {
+      const key = this.config.dedupeKey(type, options);
+      return key ? String(key) : null;
+    }
+
+    // Un rendu personnalisé n'est regroupé que sur clé explicite
+    if (options.render) return null;
+    
+    // Groupement basé sur le type et le titre
+    const groupableFields = [type, options.title || ''].filter(Boolean);
+    return groupableFields.length > 1 ? groupableFields.join('|') : null;
+  }
+
+  /**
+   * Détermine la stratégie de groupement d'une notification
+   * @param {string} type - Type de notification
+   * @param {Object} options - Options de la notification
+   * @returns {string} Stratégie (ignore, replace, count, list)
+   */
+  _getGroupStrategy(type, options) {
+    const strategy = options.groupStrategy ?? this.config.groupStrategies[type] ?? this.config.groupStrategy;
+    return FpemNotif.groupStrategies.has(strategy) ? strategy : this.config.groupStrategy;
+  }
+
+  /**
+   * Détermine la fenêtre de groupement d'une notification
+   * @param {string} type - Type de notification
+   * @param {Object} options - Options de la notification
+   * @returns {number} Fenêtre en millisecondes
+   */
+  _getGroupTimeout(type, options) {
+    return options.groupTimeout ?? this.config.groupTimeouts[type] ?? this.config.groupTimeout;
+  }
+
+  /**
+   * Gère le groupement des notifications similaires selon la stratégie du groupe
+   * - ignore : le doublon est écarté
+   * - replace : le contenu est remplacé
+   * - count : un badge compte les occurrences, le message est remplacé
+   * - list : les messages sont conservés sous forme de liste
+   * @param {string} groupKey - Clé du groupe
+   * @param {Object} options - Options de la notification
+   * @returns {Object|null} Notification groupée existante ou null
+   */
+  _handleGrouping(groupKey, options) {
+    if (!groupKey) return null;
+
+    const now = Date.now();
+    const existing = this.groups.get(groupKey);
+    if (!existing || (now - existing.lastUpdate) >= existing.timeout) return null;
+
+    const notification = this.notifications.get(existing.notificationId);
+    if (!notification || notification._isRemoving) return null;
+
+    // Mise à jour du groupe existant
+    existing.count++;
+    existing.lastUpdate = now;
+    existing.lastMessage = options.message;
+
+    if (existing.strategy !== 'ignore') {
+      this._applyGroupStrategy(notification, existing, options);
+
+      // Le contenu a changé : le compte à rebours repart de zéro
+      if (!notification.persistent) {
+        this._setupAutoClose(notification, {
+          duration: options.duration || notification._autoCloseDuration,
+          showProgress: notification.hasAttribute('progress')
+        });
+      }
+
+      // Animation de mise à jour
+      notification.setAttribute('shake', '');
+      setTimeout(() => notification.removeAttribute('shake'), 500);
+
+      // Annonce courte du doublon plutôt que toute la notification
+      if (options.announce !== false) {
+        this._announce(notification, 'grouped', { count: existing.count, message: options.message });
+      }
+    }
+
+    this._emitEvent('grouped', {
+      notification,
+      id: existing.notificationId,
+      groupKey,
+      strategy: existing.strategy,
+      count: existing.count,
+      options
+    });
+
+    return { grouped: true, notification, count: existing.count };
+  }
+
+  /**
+   * Applique la stratégie de groupement à la notification visible
+   * @param {HTMLElement} notification - Notification du groupe
+   * @param {Object} group - Groupe concerné
+   * @param {Object} options - Options du doublon reçu
+   */
+  _applyGroupStrategy(notification, group, options) {
+    switch (group.strategy) {
+      case 'replace':
+        if (options.title !== undefined) notification.title = options.title;
+        if (options.message !== undefined) notification.message = options.message;
+        if (options.icon !== undefined) notification.icon = options.icon;
+        break;
+
+      case 'count':
+        notification.count = group.count;
+        if (options.message) {
+          notification.message = options.message;
+        }
+        break;
+
+      case 'list':
+        if (options.message) {
+          group.messages.push(options.message);
+          group.messages = group.messages.slice(-this.config.groupListSize);
+        }
+        notification.count = group.count;
+        notification.message = group.messages.map(message => `• ${message}`).join('\n');
+        break;
+    }
+  }
+
+  /**
+   * Crée une nouvelle notification
+   * @param {string} type - Type de notification
+   * @param {Object} options - Options de configuration
+   * @returns {HTMLElement|Object|null} Notification créée, ou poignée {id, queued, cancel}
+   *   si elle attend dans la file, ou null si elle est ignorée
+   */
+  notify(type, options = {}) {
+    // Validation du type puis application de ses valeurs par défaut
+    type = this._resolveType(type);
+    const validatedOptions = this._validateAndNormalizeOptions(type, { ...this._getTypeDefaults(type), ...options });
+    const id = validatedOptions.id || this._generateId();
+
+    // Vérification si mise à jour d'une notification existante
+    if (this.notifications.has(id)) {
+      return this._updateExistingNotification(id, validatedOptions, options);
+    }
+
+    // Notification réservée à l'onglet leader : les autres onglets l'ignorent
+    if (validatedOptions.leaderOnly && this._tabSync) {
+      const delay = this._tabSync.electionDelay();
+      if (delay > 0) {
+        // Élection en cours : la notification attend d'être tranchée
+        validatedOptions.id = id;
+        this._deferUntilElected(type, validatedOptions, options, delay);
+        return { id, queued: true, cancel: () => this.removeById(id, 'cancelled') };
+      }
+      if (!this._tabSync.isLeader()) return null;
+    }
+
+    // Gestion du groupement
+    const groupKey = this._generateGroupKey(type, validatedOptions);
+    if (groupKey) {
+      const groupResult = this._handleGrouping(groupKey, validatedOptions);
+      if (groupResult?.grouped) {
+        return groupResult.notification;
+      }
+    }
+
+    // Vérification de la limite de notifications visibles pour cette position
+    const position = validatedOptions.position || this.config.position;
+    if (this._countVisibleAt(position) >= this._getPositionConfig(position).maxVisible) {
+      // L'identifiant est fixé dès la mise en attente pour suivre ou annuler l'élément
+      validatedOptions.id = id;
+      if (!this._handleMaxVisibleExceeded(type, validatedOptions, position)) return null;
+      return { id, queued: true, cancel: () => this.removeById(id, 'cancelled') };
+    }
+
+    // Création de la notification
+    const notification = this._createNotificationElement(type, validatedOptions, id);
+    
+    // Enregistrement dans les collections
+    this.notifications.set(id, notification);
+    
+    // Enregistrement du groupe si applicable
+    if (groupKey) {
+      this.groups.set(groupKey, {
+        notificationId: id,
+        count: 1,
+        lastUpdate: Date.now(),
+        lastMessage: validatedOptions.message,
+        messages: validatedOptions.message ? [validatedOptions.message] : [],
+        strategy: this._getGroupStrategy(type, validatedOptions),
+        timeout: this._getGroupTimeout(type, validatedOptions)
+      });
+    }
+
+    // Ajout au DOM avec container approprié
+    // Les notifications voisines glissent vers leur nouvelle place
+    notification.dataset.position = position;
+    const container = this._getOrCreateContainer(position);
+    this._animateReflow(container, () => {
+      container.appendChild(notification);
+      this._layoutStack(position);
+    });
+    this._updateRovingTabIndex(container);
+
+    // Animation d'apparition
+    this._animateNotificationIn(notification, validatedOptions);
+
+    // Configuration de la fermeture automatique
+    this._setupAutoClose(notification, validatedOptions);
+
+    // Annonce aux technologies d'assistance
+    if (validatedOptions.announce !== false) {
+      this._announce(notification, 'added');
+    }
+
+    // Émission d'événements
+    this._emitEvent('added', { notification, type, options: validatedOptions, id });
+
+    // Diffusion aux autres onglets
+    notification._isSynced = this._shouldSync(validatedOptions);
+    if (notification._isSynced && !this._isApplyingSync) {
+      this._tabSync.send('show', { id, type, options: this._toSyncOptions(options) });
+    }
+
+    // Sauvegarde si persistante
+    if (validatedOptions.persistent) {
+      this._persistNotifications();
+    }
+
+    return notification;
+  }
+
+  /**
+   * Valide et normalise les options de notification
+   * @param {string} type - Type de notification
+   * @param {Object} options - Options brutes
+   * @returns {Object} Options validées et normalisées
+   */
+  _validateAndNormalizeOptions(type, options) {
+    const normalized = { ...options };
+
+    // Validation du type transmis dans les options (mises à jour)
+    if (normalized.type !== undefined) {
+      normalized.type = this._resolveType(normalized.type);
+    }
+
+    // Validation de l'animation (préréglage ou keyframes personnalisées)
+    if (normalized.animation !== undefined && !this._isValidAnimation(normalized.animation)) {
+      console.warn(`[FPEM NOTIF] Animation invalide: ${normalized.animation}`);
+      delete normalized.animation;
+    }
+
+    // Validation du mode d'annonce
+    if (normalized.ariaLive !== undefined && !FpemNotif.liveModes.has(normalized.ariaLive)) {
+      console.warn(`[FPEM NOTIF] ariaLive invalide: ${normalized.ariaLive}`);
+      delete normalized.ariaLive;
+    }
+
+    // Normalisation du contenu : le texte est conservé tel quel, le composant
+    // l'affiche en texte brut ou via la liste blanche de FpemRichText
+    if (normalized.title) {
+      normalized.title = this._normalizeText(normalized.title);
+    }
+    if (normalized.message) {
+      normalized.message = this._normalizeText(normalized.message);
+    }
+
+    // Validation du format du message
+    if (normalized.format !== undefined && !FpemRichText.formats.has(normalized.format)) {
+      console.warn(`[FPEM NOTIF] Format invalide: ${normalized.format}, utilisation de 'text'`);
+      normalized.format = 'text';
+    }
+
+    // Validation de la priorité
+    if (normalized.priority !== undefined && !(normalized.priority in FpemNotif.priorities)) {
+      console.warn(`[FPEM NOTIF] Priorité invalide: ${normalized.priority}, utilisation de 'normal'`);
+      normalized.priority = 'normal';
+    }
+
+    // Validation de la durée
+    if (normalized.duration !== undefined) {
+      normalized.duration = Math.max(0, parseInt(normalized.duration) || 0);
+    }
+
+    // Validation des actions
+    // Les actions nommées sont résolues dans le registre au moment du clic
+    if (normalized.actions && Array.isArray(normalized.actions)) {
+      normalized.actions = normalized.actions
+        .filter(action => action && typeof action.label === 'string')
+        .map(action => {
+          let variant = action.variant ?? (action.primary ? 'primary' : 'default');
+          if (!FpemNotif.actionVariants.has(variant)) {
+            console.warn(`[FPEM NOTIF] Variante d'action invalide: ${variant}`);
+            variant = 'default';
+          }
+
+          let href = action.href;
+          if (href !== undefined && !FpemRichText.isSafeUrl(String(href))) {
+            console.warn(`[FPEM NOTIF] Lien d'action refusé: ${href}`);
+            href = undefined;
+          }
+
+          return {
+            ...action,
+            id: action.id || this._generateId(),
+            variant,
+            primary: variant === 'primary',
+            href,
+            callback: action.callback || (action.name
+              ? (notification, event) => this._runNamedAction(action.name, action.payload, notification, event)
+              : undefined)
+          };
+        });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Normalise un contenu textuel (les valeurs non textuelles sont ignorées)
+   * L'échappement est fait à l'affichage, jamais dans les données
+   * @param {string} content - Contenu à normaliser
+   * @returns {string} Contenu textuel
+   */
+  _normalizeText(content) {
+    return typeof content === 'string' ? content : '';
+  }
+
+  /**
+   * Met à jour une notification existante
+   * @param {string} id - ID de la notification
+   * @param {Object} options - Nouvelles options
+   * @returns {HTMLElement} Notification mise à jour
+   */
+  _updateExistingNotification(id, options, rawOptions = options) {
+    const notification = this.notifications.get(id);
+    if (!notification) return null;
+
+    // Seul un changement de contenu mérite une nouvelle annonce
+    const contentChanged = ['type', 'title', 'message'].some(key =>
+      options[key] !== undefined && options[key] !== notification[key]
+    );
+
+    // Mise à jour des propriétés publiques du composant
+    // (accesseurs définis sur le prototype, hasOwnProperty ne les voit pas)
+    const updatableProperties = [
+      'type', 'title', 'message', 'format', 'icon', 'persistent', 'showCloseButton', 'progress', 'indeterminate'
+    ];
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && updatableProperties.includes(key)) {
+        notification[key] = value;
+      }
+    });
+
+    // Mise à jour des actions si spécifiées
+    if (options.actions) {
+      notification.setActions(options.actions);
+    }
+
+    // Mise à jour du mode d'annonce (un changement de type apporte le sien)
+    if (options.ariaLive || options.type !== undefined) {
+      this._applyPoliteness(notification, this._resolvePoliteness(notification.type, options.ariaLive));
+    }
+
+    // Mise à jour du contenu projeté
+    if (options.slots) {
+      this._applySlots(notification, options.slots);
+    }
+
+    // Réinitialisation du timer de fermeture si nécessaire
+    if (!options.persistent && options.duration) {
+      this._setupAutoClose(notification, options);
+    }
+
+    // Animation de mise à jour
+    notification.setAttribute('shake', '');
+    setTimeout(() => notification.removeAttribute('shake'), 500);
+
+    if (contentChanged && rawOptions.announce !== false) {
+      this._announce(notification, 'updated');
+    }
+
+    this._emitEvent('updated', { notification, id, options });
+
+    // Mise à jour de l'état sauvegardé, regroupée pour les mises à jour rapprochées
+    // (progression d'un chargement) et inutile si seul l'état transitoire change
+    const transientKeys = ['progress', 'indeterminate', 'announce'];
+    if (Object.keys(rawOptions).some(key => !transientKeys.includes(key))) {
+      this._schedulePersist();
+    }
+
+    // Diffusion aux autres onglets
+    if (notification._isSynced && !this._isApplyingSync) {
+      this._tabSync.send('update', { id, options: this._toSyncOptions(rawOptions) });
+    }
+
+    return notification;
+  }
+
+  /**
+   * Retourne le rang numérique d'un niveau de priorité
+   * @param {string} priority - Niveau de priorité
+   * @returns {number} Rang de la priorité
+   */
+  _getPriorityRank(priority) {
+    return FpemNotif.priorities[priority] ?? FpemNotif.priorities.normal;
+  }
+
+  /**
+   * Indique si une notification ne doit jamais être évincée ni abandonnée
+   * @param {string} priority - Niveau de priorité
+   * @param {boolean} persistent - État persistant
+   * @returns {boolean} Vrai si la notification est protégée
+   */
+  _isProtected(priority, persistent) {
+    return priority === 'critical' || !!persistent;
+  }
+
+  /**
+   * Gère le dépassement de la limite de notifications visibles
+   * @param {string} type - Type de la nouvelle notification
+   * @param {Object} options - Options de la nouvelle notification
+   * @param {string} position - Position visée par la notification
+   * @returns {boolean} Vrai si la notification a été mise en attente
+   */
+  _handleMaxVisibleExceeded(type, options, position) {
+    const rank = this._getPriorityRank(options.priority);
+
+    // Les notifications high et critical libèrent une place en évinçant
+    // la notification visible la moins prioritaire, sans toucher aux protégées
+    if (rank >= FpemNotif.priorities.high) {
+      const victim = this._findEvictionCandidate(rank, position);
+      if (victim) {
+        this.removeById(victim.dataset.id, 'evicted');
+      }
+    }
+
+    // La nouvelle notification attend son tour selon sa priorité
+    return this._enqueue(type, options, position);
+  }
+
+  /**
+   * Cherche la notification visible à évincer pour une priorité donnée
+   * La moins prioritaire puis la plus ancienne est retenue
+   * @param {number} rank - Rang de la notification entrante
+   * @param {string} position - Position dans laquelle libérer une place
+   * @returns {HTMLElement|null} Notification à évincer ou null
+   */
+  _findEvictionCandidate(rank, position) {
+    let candidate = null;
+    let candidateRank = Infinity;
+
+    this.notifications.forEach(notification => {
+      if (notification._isRemoving || notification.dataset.position !== position) return;
+
+      const priority = notification.dataset.priority || 'normal';
+      if (this._isProtected(priority, notification.persistent)) return;
+
+      const notifRank = this._getPriorityRank(priority);
+      if (notifRank <= rank && notifRank < candidateRank) {
+        candidate = notification;
+        candidateRank = notifRank;
+      }
+    });
+
+    return candidate;
+  }
+
+  /**
+   * Ajoute une notification à la file d'attente triée par priorité puis ancienneté
+   * Si la file est pleine, l'élément le moins prioritaire et le plus récent
+   * est abandonné, à l'exception des notifications protégées
+   * @param {string} type - Type de notification
+   * @param {Object} options - Options de la notification
+   * @param {string} position - Position dont la file reçoit la notification
+   * @returns {boolean} Vrai si la notification est restée dans la file
+   */
+  _enqueue(type, options, position) {
+    if (!this.queues.has(position)) {
+      this.queues.set(position, []);
+    }
+    const queue = this.queues.get(position);
+
+    const entry = {
+      type,
+      options,
+      priority: options.priority || 'normal',
+      rank: this._getPriorityRank(options.priority),
+      enqueuedAt: Date.now(),
+      sequence: this._queueCounter++
+    };
+
+    // Insertion après tous les éléments de priorité supérieure ou égale
+    const index = queue.findIndex(queued => queued.rank < entry.rank);
+    if (index === -1) {
+      queue.push(entry);
+    } else {
+      queue.splice(index, 0, entry);
+    }
+
+    if (queue.length > this._getPositionConfig(position).maxQueue) {
+      // Parcours depuis la fin : moins prioritaire puis plus récent d'abord
+      let dropIndex = -1;
+      for (let i = queue.length - 1; i >= 0; i--) {
+        const queued = queue[i];
+        if (!this._isProtected(queued.priority, queued.options.persistent)) {
+          dropIndex = i;
+          break;
+        }
+      }
+
+      if (dropIndex !== -1) {
+        const [dropped] = queue.splice(dropIndex, 1);
+        this._handleDropped(dropped, position, 'queue-full');
+        if (dropped === entry) return false;
+      }
+    }
+
+    this._emitEvent('queued', {
+      type,
+      options,
+      priority: entry.priority,
+      id: options.id,
+      position,
+      queuePosition: queue.indexOf(entry),
+      queueSize: queue.length
+    });
+    return true;
+  }
+
+  /**
+   * Retire de la file d'attente une notification qui n'a pas encore été affichée
+   * @param {string} id - ID de la notification en attente
+   * @param {string} reason - Raison du retrait
+   * @returns {boolean} Vrai si un élément a été retiré
+   */
+  _dequeue(id, reason) {
+    const pending = this._leaderPending.get(id);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this._leaderPending.delete(id);
+      this._handleDropped(pending, pending.options.position || this.config.position, reason);
+      return true;
+    }
+
+    for (const [position, queue] of this.queues) {
+      const index = queue.findIndex(queued => queued.options.id === id);
+      if (index === -1) continue;
+
+      const [removed] = queue.splice(index, 1);
+      this._handleDropped(removed, position, reason);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Diffère une notification leaderOnly jusqu'à la fin de l'élection
+   * Seul l'onglet élu l'affiche, les autres la signalent comme abandonnée
+   * @param {string} type - Type de notification
+   * @param {Object} validatedOptions - Options validées (identifiant fixé)
+   * @param {Object} options - Options d'origine
+   * @param {number} delay - Délai avant la fin de l'élection (ms)
+   */
+  _deferUntilElected(type, validatedOptions, options, delay) {
+    const id = validatedOptions.id;
+    const entry = { type, options: validatedOptions, priority: validatedOptions.priority };
+
+    // Un nouvel appel avec le même identifiant remplace l'attente précédente
+    clearTimeout(this._leaderPending.get(id)?.timer);
+    entry.timer = setTimeout(() => {
+      this._leaderPending.delete(id);
+      if (this.isLeaderTab()) {
+        this.notify(type, { ...options, id });
+      } else {
+        this._handleDropped(entry, validatedOptions.position || this.config.position, 'not-leader');
+      }
+    }, delay);
+
+    this._leaderPending.set(id, entry);
+  }
+
+  /**
+   * Signale l'abandon d'un élément de la file d'attente
+   * Son callback de fermeture est appelé sans notification : les appelants qui
+   * attendent une issue (undoable, prompt, loading) ne restent pas en suspens
+   * @param {Object} entry - Élément abandonné
+   * @param {string} position - Position de la file
+   * @param {string} reason - Raison de l'abandon
+   */
+  _handleDropped(entry, position, reason) {
+    this._emitEvent('dropped', {
+      type: entry.type,
+      options: entry.options,
+      priority: entry.priority,
+      id: entry.options.id,
+      position,
+      reason
+    });
+
+    if (entry.options.onClose) {
+      try {
+        entry.options.onClose(null, reason);
+      } catch (error) {
+        console.error('[FPEM NOTIF] Erreur dans le callback de fermeture:', error);
+      }
+    }
+  }
+
+  /**
+   * Obtient ou crée un container pour une position spécifique
+   * @param {string} position - Position désirée
+   * @returns {HTMLElement} Container pour cette position
+   */
+  _getOrCreateContainer(position) {
+    if (!this._containers.has(position)) {
+      const container = this._createContainer(position);
+      this._containers.set(position, container);
+      document.body.appendChild(container);
+    }
+    return this._containers.get(position);
+  }
+
+  /**
+   * Crée l'élément DOM de la notification
+   * @param {string} type - Type de notification
+   * @param {Object} options - Options de configuration
+   * @param {string} id - ID unique
+   * @returns {HTMLElement} Élément notification
+   */
+  _createNotificationElement(type, options, id) {
+    const notification = document.createElement('fpem-notification');
+    
+    // Attribution des propriétés de base
+    // Date de création d'origine conservée lors des restaurations
+    const createdAt = options.createdAt || Date.now();
+    notification.dataset.id = id;
+    notification.dataset.timestamp = createdAt.toString();
+    notification.dataset.priority = options.priority || 'normal';
+    notification.type = type;
+    
+    // Configuration du contenu (format appliqué avant le message)
+    notification.format = options.format || this.config.format;
+    if (options.title) notification.title = options.title;
+    if (options.message) notification.message = options.message;
+    if (options.icon !== undefined) notification.icon = options.icon;
+    
+    // Configuration du comportement
+    notification.persistent = !!options.persistent;
+    notification.showCloseButton = !!options.showCloseButton;
+    this._applyPoliteness(notification, this._resolvePoliteness(type, options.ariaLive));
+    
+    // Configuration des options avancées
+    if (options.restoreOnLoad !== undefined) {
+      notification.dataset.restoreOnLoad = options.restoreOnLoad.toString();
+    }
+
+    // Expiration en stockage : date absolue ou durée depuis la création
+    const expiresAt = options.expiresAt ?? (options.ttl ? createdAt + options.ttl : null);
+    if (expiresAt) {
+      notification.dataset.expiresAt = expiresAt.toString();
+    }
+    
+    // Prise de focus à l'apparition, uniquement sur demande (alertes critiques, saisies)
+    notification.toggleAttribute('autofocus', !!options.autoFocus);
+
+    // Animation d'entrée et de sortie (Web Animations API, sinon transition CSS)
+    notification._animation = this._resolveAnimation(options, options.position || this.config.position);
+    notification.toggleAttribute('animated', this._canAnimate());
+
+    // Déclencheurs de pause du compte à rebours
+    notification.pauseTriggers = {
+      hover: options.pauseOnHover ?? this.config.pauseOnHover,
+      focus: options.pauseOnFocus ?? this.config.pauseOnFocus,
+      hidden: options.pauseOnPageHidden ?? this.config.pauseOnPageHidden
+    };
+
+    // Balayage pour fermer dans le sens de sortie de la position
+    const swipeable = options.swipeable ?? this.config.swipeToDismiss;
+    const position = options.position || this.config.position;
+    notification.swipeDirection = swipeable ? (FpemNotif.swipeDirections[position] || 'right') : 'none';
+    notification.swipeThresholds = {
+      distance: this.config.swipeThreshold,
+      velocity: this.config.swipeVelocity
+    };
+
+    // Configuration de la progression (animée avec le compte à rebours)
+    if (options.showProgress) {
+      notification.setAttribute('progress', '0');
+      if (options.progress !== undefined) {
+        notification.progress = options.progress;
+      }
+      notification.indeterminate = !!options.indeterminate;
+    }
+
+    // Configuration des actions personnalisées
+    if (options.actions && options.actions.length > 0) {
+      notification.setActions(options.actions);
+    }
+
+    // Application du thème global puis du thème propre (conservé pour la persistance)
+    if (options.theme) {
+      notification._theme = options.theme;
+    }
+    this._applyTheme(notification);
+
+    // Stockage du callback de fermeture
+    if (options.onClose) {
+      notification._onCloseCallback = options.onClose;
+    }
+
+    // Contenu projeté dans les slots nommés
+    if (options.slots) {
+      this._applySlots(notification, options.slots);
+    }
+
+    // Rendu entièrement personnalisé, dans le slot "content"
+    if (typeof options.render === 'function') {
+      this._renderCustomContent(notification, type, options, id);
+    }
+
+    return notification;
+  }
+
+  /**
+   * Projette du contenu dans les slots nommés de la notification
+   * @param {HTMLElement} notification - Élément notification
+   * @param {Object} slots - Contenu par slot {icon, title, message, actions, footer}
+   */
+  _applySlots(notification, slots) {
+    Object.entries(slots).forEach(([name, content]) => {
+      if (!FpemNotif.slotNames.has(name)) {
+        console.warn(`[FPEM NOTIF] Slot inconnu: ${name}`);
+        return;
+      }
+      notification.setSlotContent(name, content);
+    });
+  }
+
+  /**
+   * Appelle le rendu personnalisé avec un container projeté dans la notification
+   * Le rendu peut retourner une fonction de nettoyage appelée à la suppression
+   * @param {HTMLElement} notification - Élément notification
+   * @param {string} type - Type de notification
+   * @param {Object} options - Options de la notification
+   * @param {string} id - ID unique
+   */
+  _renderCustomContent(notification, type, options, id) {
+    const container = document.createElement('div');
+    container.className = 'fpem-custom-content';
+    notification.setSlotContent('content', container);
+    notification._hasCustomRender = true;
+
+    const ctx = {
+      id,
+      type,
+      options,
+      notification,
+      manager: this,
+      close: (reason = 'manual') => this.removeById(id, reason),
+      update: (updateOptions) => this.update(id, updateOptions),
+      pause: () => notification.pauseCountdown('manual'),
+      resume: () => notification.resumeCountdown('manual')
+    };
+
+    try {
+      const cleanup = options.render(container, ctx);
+      if (typeof cleanup === 'function') {
+        notification._renderCleanup = cleanup;
+      }
+    } catch (error) {
+      console.error('[FPEM NOTIF] Erreur dans le rendu personnalisé:', error);
+    }
+  }
+
+  /**
+   * Applique un thème personnalisé à la notification
+   * @param {HTMLElement} notification - Élément notification
+   * @param {Object} theme - Thème à appliquer
+   */
+  _applyCustomTheme(notification, theme) {
+    if (theme.background) {
+      notification.style.setProperty('--notif-bg', theme.background);
+    }
+    if (theme.color) {
+      notification.style.setProperty('--notif-color', theme.color);
+    }
+    if (theme.borderRadius) {
+      notification.style.setProperty('--notif-border-radius', theme.borderRadius);
+    }
+    if (theme.shadow) {
+      notification.style.setProperty('--notif-shadow', theme.shadow);
+    }
+
+    // Variables --notif-* transmises telles quelles
+    Object.entries(theme)
+      .filter(([key]) => key.startsWith('--notif-'))
+      .forEach(([key, value]) => notification.style.setProperty(key, value));
+  }
+
+  /**
+   * Lance l'animation d'apparition de la notification
+   * @param {HTMLElement} notification - Notification à animer
+   * @param {Object} options - Options d'animation
+   */
+  _animateNotificationIn(notification, options) {
+    // Keyframes appliquées dès l'insertion pour éviter une image dans l'état final
+    const animation = notification._animation;
+    if (animation && this._canAnimate()) {
+      notification.animate(animation.enter, {
+        duration: animation.duration,
+        easing: animation.easing,
+        fill: 'backwards'
+      });
+    }
+
+    // Sans Web Animations API : transition CSS via l'attribut visible
+    // (le focus n'est pris que sur demande explicite, via l'attribut autofocus)
+    requestAnimationFrame(() => {
+      notification.visible = true;
+    });
+
+    // Son de notification si activé
+    if (this.config.enableSounds && options.sound !== false && FpemNotif.types.get(notification.type)?.sound !== false) {
+      this._playNotificationSound(notification.type);
+    }
+  }
+
+  /**
+   * Lance l'animation de sortie de la notification
+   * @param {HTMLElement} notification - Notification à animer
+   * @returns {Promise} Résolue à la fin réelle de l'animation
+   */
+  _animateNotificationOut(notification) {
+    notification.visible = false;
+
+    if (!this._canAnimate()) {
+      return new Promise(resolve => setTimeout(resolve, this.config.animationDuration));
+    }
+
+    const animation = notification._animation;
+    if (!animation) return Promise.resolve();
+
+    // La sortie part de l'état courant, même si l'entrée n'est pas terminée
+    const finished = notification.animate(animation.exit, {
+      duration: animation.duration,
+      easing: animation.easing,
+      fill: 'forwards'
+    }).finished.catch(() => {});
+
+    // Document masqué (fermeture venue d'un autre onglet) : l'animation peut rester
+    // suspendue, le nettoyage ne doit pas en dépendre
+    const fallback = new Promise(resolve => setTimeout(resolve, animation.duration + 100));
+    return Promise.race([finished, fallback]);
+  }
+
+  /**
+   * Anime le déplacement des notifications d'un container autour d'une mutation (FLIP)
+   * Position initiale mesurée, mutation appliquée, puis écart inversé et animé
+   * @param {HTMLElement} container - Container concerné
+   * @param {Function} mutate - Modification du DOM (insertion, retrait)
+   */
+  _animateReflow(container, mutate) {
+    const canFlip = this._canAnimate() && !this._prefersReducedMotion() && !('collapsed' in container.dataset);
+    const items = canFlip
+      ? Array.from(container.children).filter(el => el.tagName === 'FPEM-NOTIFICATION' && !el._isRemoving)
+      : [];
+    const first = new Map(items.map(item => [item, item.getBoundingClientRect()]));
+
+    mutate();
+
+    // Pile repliée : les couches sont positionnées par _layoutStack
+    if ('collapsed' in container.dataset) return;
+
+    first.forEach((rect, item) => {
+      if (!item.isConnected) return;
+
+      const last = item.getBoundingClientRect();
+      const deltaX = rect.left - last.left;
+      const deltaY = rect.top - last.top;
+      if (!deltaX && !deltaY) return;
+
+      // translate est indépendant du transform des animations d'entrée et de sortie
+      item.animate([
+        { translate: `${deltaX}px ${deltaY}px` },
+        { translate: '0px 0px' }
+      ], {
+        duration: this.config.animationDuration,
+        easing: 'cubic-bezier(0.4, 0, 0.2, 1)'
+      });
+    });
+  }
+
+  /**
+   * Indique si le Web Animations API est disponible
+   * @returns {boolean} Animations JS possibles
+   */
+  _canAnimate() {
+    return typeof Element !== 'undefined' && typeof Element.prototype.animate === 'function';
+  }
+
+  /**
+   * Indique si l'utilisateur demande de réduire les animations
+   * @returns {boolean} Mouvement réduit
+   */
+  _prefersReducedMotion() {
+    return !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * Vérifie une valeur d'animation : préréglage, 'none' ou keyframes {enter, exit}
+   * @param {string|Object} animation - Animation à vérifier
+   * @returns {boolean} Animation valide
+   */
+  _isValidAnimation(animation) {
+    if (typeof animation === 'string') {
+      return animation === 'none' || animation in FpemNotif.animationPresets;
+    }
+    return !!animation && typeof animation === 'object' &&
+      (Array.isArray(animation.enter) || Array.isArray(animation.exit));
+  }
+
+  /**
+   * Résout l'animation d'une notification : keyframes, durée et easing
+   * Le mouvement réduit remplace toute animation par un fondu court
+   * @param {Object} options - Options de la notification (animation)
+   * @param {string} position - Position du container
+   * @returns {Object|null} {enter, exit, duration, easing}, null sans animation
+   */
+  _resolveAnimation(options, position) {
+    const animation = options.animation ?? this.config.animation;
+    const duration = animation?.duration ?? this.config.animationDuration;
+    if (animation === 'none') return null;
+
+    const swipeDirection = FpemNotif.swipeDirections[position] || 'right';
+    const direction = {
+      x: swipeDirection === 'left' ? -1 : swipeDirection === 'right' ? 1 : 0,
+      y: swipeDirection === 'up' ? -1 : swipeDirection === 'down' ? 1 : 0
+    };
+    const defaults = { easing: 'cubic-bezier(0.4, 0, 0.2, 1)', duration };
+
+    if (this._prefersReducedMotion()) {
+      return { ...defaults, ...FpemNotif.animationPresets.fade(direction), easing: 'linear', duration: Math.min(duration, 150) };
+    }
+
+    // Keyframes personnalisées, complétées par le préréglage par défaut
+    if (typeof animation === 'object') {
+      const fallback = FpemNotif.animationPresets.fade(direction);
+      return {
+        ...defaults,
+        ...animation,
+        enter: animation.enter || fallback.enter,
+        exit: animation.exit || fallback.exit
+      };
+    }
+
+    const preset = FpemNotif.animationPresets[animation] || FpemNotif.animationPresets.slide;
+    return { ...defaults, ...preset(direction) };
+  }
+
+  /**
+   * Joue un son de notification selon le type
+   * @param {string} type - Type de notification
+   */
+  _playNotificationSound(type) {
+    // Utilisation de l'API Web Audio si disponible
+    if (typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined') {
+      try {
+        const audioContext = new (AudioContext || webkitAudioContext)();
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+
+        // Fréquence définie par le type (registre des types)
+        const frequency = FpemNotif.types.get(type)?.sound || 450;
+
+        oscillator.connect(gainNode);
+        gainNode.connect(audioContext.destination);
+        
+        oscillator.frequency.setValueAtTime(frequency, audioContext.currentTime);
+        oscillator.type = 'sine';
+        
+        gainNode.gain.setValueAtTime(0, audioContext.currentTime);
+        gainNode.gain.linearRampToValueAtTime(0.1, audioContext.currentTime + 0.01);
+        gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.1);
+        
+        oscillator.start(audioContext.currentTime);
+        oscillator.stop(audioContext.currentTime + 0.1);
+      } catch (error) {
+        console.warn('[FPEM NOTIF] Erreur lors de la lecture du son:', error);
+      }
+    }
+  }
+
+  /**
+   * Configure la fermeture automatique d'une notification
+   * @param {HTMLElement} notification - Notification à configurer
+   * @param {Object} options - Options de fermeture
+   */
+  _setupAutoClose(notification, options) {
+    // Nettoyage du compte à rebours existant
+    notification.stopCountdown();
+
+    // Configuration du nouveau compte à rebours si non persistante
+    // La barre de progression partage la même horloge pausable
+    if (!options.persistent) {
+      const duration = options.duration || this.config.duration;
+      notification._autoCloseDuration = duration;
+      
+      notification.startCountdown(duration, () => {
+        this.removeById(notification.dataset.id, 'timeout');
+      });
+
+      if (options.showProgress) {
+        notification.startProgressAnimation(duration);
+      }
+    }
+  }
+
+  /**
+   * Gère les demandes de fermeture des notifications
+   * @param {Event} event - Événement de demande de fermeture
+   */
+  _handleCloseRequest(event) {
+    const notification = event.target;
+    const id = notification.dataset.id;
+    const reason = event.detail?.reason || 'unknown';
+
+    if (id) {
+      this.removeById(id, reason);
+    }
+  }
+
+  /**
+   * Supprime une notification par son ID
+   * Une notification encore en file d'attente en est simplement retirée
+   * @param {string} id - ID de la notification
+   * @param {string} reason - Raison de la suppression
+   * @returns {boolean} Vrai si supprimée avec succès
+   */
+  removeById(id, reason = 'manual') {
+    const notification = this.notifications.get(id);
+    if (!notification) return this._dequeue(id, reason);
+    if (notification._isRemoving) return false;
+
+    // Marquage pour éviter une double fermeture pendant l'animation
+    notification._isRemoving = true;
+    this._layoutStack(notification.dataset.position);
+
+    // Notification focalisée (Échap, bouton, action) : retour du focus à son origine
+    if (notification.contains(document.activeElement)) {
+      this._restoreFocus();
+    }
+    if (notification.parentNode) {
+      this._updateRovingTabIndex(notification.parentNode);
+    }
+
+    // Diffusion de la fermeture aux autres onglets (pas lors de la destruction
+    // du gestionnaire : les autres onglets gardent leurs notifications)
+    if (notification._isSynced && !this._isApplyingSync && !this._isDestroying) {
+      this._tabSync.send('dismiss', { id, reason });
+    }
+
+    // Nettoyage des timers
+    notification.stopCountdown();
+
+    // Appel du callback de fermeture
+    if (notification._onCloseCallback) {
+      try {
+        notification._onCloseCallback(notification, reason);
+      } catch (error) {
+        console.error('[FPEM NOTIF] Erreur dans le callback de fermeture:', error);
+      }
+    }
+
+    // Suppression à la fin réelle de l'animation de sortie
+    this._animateNotificationOut(notification).then(() => {
+      // Retrait du DOM, les notifications voisines glissent à leur nouvelle place
+      const container = notification.parentNode;
+      if (container) {
+        this._animateReflow(container, () => container.removeChild(notification));
+      }
+
+      // Nettoyage du rendu personnalisé
+      if (notification._renderCleanup) {
+        try {
+          notification._renderCleanup();
+        } catch (error) {
+          console.error('[FPEM NOTIF] Erreur dans le nettoyage du rendu personnalisé:', error);
+        }
+      }
+
+      // Suppression des collections
+      this.notifications.delete(id);
+
+      // Nettoyage des groupes
+      this._cleanupGroupForNotification(id);
+
+      // Archivage dans l'historique
+      this._recordHistory(notification, id, reason);
+
+      // Émission d'événement
+      this._emitEvent('removed', { notification, id, reason });
+
+      // Traitement de la file d'attente
+      this._processQueue();
+
+      // Mise à jour de la persistance
+      this._persistNotifications();
+    });
+
+    return true;
+  }
+
+  /**
+   * Archive une notification fermée dans l'historique
+   * @param {HTMLElement} notification - Notification fermée
+   * @param {string} id - ID de la notification
+   * @param {string} reason - Raison de la fermeture
+   */
+  _recordHistory(notification, id, reason) {
+    if (!this.config.enableHistory) return;
+
+    this.history.add({
+      id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      format: notification.format,
+      icon: notification.icon,
+      priority: notification.dataset.priority,
+      position: notification.dataset.position,
+      reason,
+      createdAt: parseInt(notification.dataset.timestamp) || Date.now(),
+      removedAt: Date.now()
+    });
+  }
+
+  /**
+   * Nettoie les groupes associés à une notification supprimée
+   * @param {string} notificationId - ID de la notification
+   */
+  _cleanupGroupForNotification(notificationId) {
+    const groupToDelete = [];
+    
+    this.groups.forEach((group, key) => {
+      if (group.notificationId === notificationId) {
+        groupToDelete.push(key);
+      }
+    });
+
+    groupToDelete.forEach(key => this.groups.delete(key));
+  }
+
+  /**
+   * Traite la file d'attente des notifications
+   */
+  _processQueue() {
+    if (this._isProcessingQueue) return;
+
+    this._isProcessingQueue = true;
+    let hasPending = false;
+
+    // Chaque position traite sa propre file selon sa propre limite
+    this.queues.forEach((queue, position) => {
+      const { maxVisible } = this._getPositionConfig(position);
+      if (queue.length === 0 || this._countVisibleAt(position) >= maxVisible) return;
+
+      // Traitement du prochain élément
+      const next = queue.shift();
+      this.notify(next.type, next.options);
+
+      if (queue.length > 0 && this._countVisibleAt(position) < maxVisible) {
+        hasPending = true;
+      }
+    });
+
+    this._isProcessingQueue = false;
+
+    // Récursion si encore de la place et des éléments en attente
+    if (hasPending) {
+      setTimeout(() => this._processQueue(), 100);
+    }
+  }
+
+  /**
+   * Supprime toutes les notifications
+   * @param {boolean} includesPersistent - Inclure les notifications persistantes
+   */
+  clearAll(includesPersistent = false) {
+    const toRemove = Array.from(this.notifications.keys()).filter(id => {
+      const notification = this.notifications.get(id);
+      return includesPersistent || !notification.persistent;
+    });
+
+    toRemove.forEach(id => this.removeById(id, 'clear-all'));
+  }
+
+  /**
+   * Supprime uniquement les notifications non persistantes
+   */
+  clearNonPersistent() {
+    this.clearAll(false);
+  }
+
+  /**
+   * Retourne le nombre de notifications actives
+   * @returns {number} Nombre de notifications
+   */
+  count() {
+    return this.notifications.size;
+  }
+
+  /**
+   * Retourne le nombre d'éléments en file d'attente
+   * @param {string} [position] - Position à mesurer (toutes si omise)
+   * @returns {number} Taille de la file d'attente
+   */
+  queueSize(position) {
+    if (position) {
+      return this.queues.get(position)?.length || 0;
+    }
+    return this.queue.length;
+  }
+
+  /**
+   * Vue à plat de toutes les files d'attente, pour compatibilité
+   * @returns {Array} Éléments en attente, toutes positions confondues
+   */
+  get queue() {
+    return Array.from(this.queues.values()).flat();
+  }
+
+  /**
+   * Vérifie s'il y a des notifications actives
+   * @returns {boolean} Vrai s'il y a des notifications
+   */
+  hasNotifications() {
+    return this.notifications.size > 0;
+  }
+
+  /**
+   * Change la position d'affichage des notifications
+   * @param {string} position - Nouvelle position
+   */
+  setPosition(position) {
+    if (!FpemNotif.positions.has(position)) {
+      console.warn(`[FPEM NOTIF] Position invalide: ${position}`);
+      return;
+    }
+
+    this.config.position = position;
+    
+    // Création du nouveau container si nécessaire
+    if (!this._containers.has(position)) {
+      const container = this._createContainer(position);
+      this._containers.set(position, container);
+      document.body.appendChild(container);
+    }
+  }
+
+  /**
+   * Définit les réglages propres à une position
+   * @param {string} position - Position concernée
+   * @param {Object} options - Réglages {maxVisible, maxQueue, stacking, gap, offsetX, offsetY}
+   */
+  setPositionOptions(position, options = {}) {
+    this.updateConfig({
+      positionOptions: {
+        ...this.config.positionOptions,
+        [position]: { ...(this.config.positionOptions[position] || {}), ...options }
+      }
+    });
+  }
+
+  /**
+   * Change la durée par défaut des notifications
+   * @param {number} duration - Nouvelle durée en millisecondes
+   */
+  setDefaultDuration(duration) {
+    if (typeof duration === 'number' && duration >= 0) {
+      this.config.duration = duration;
+    }
+  }
+
+  /**
+   * Active ou désactive le groupement des notifications
+   * @param {boolean} enabled - État du groupement
+   */
+  setGroupSimilar(enabled) {
+    this.config.groupSimilar = !!enabled;
+  }
+
+  /**
+   * Met à jour la configuration du gestionnaire
+   * @param {Object} newConfig - Nouvelle configuration
+   */
+  updateConfig(newConfig) {
+    const oldConfig = { ...this.config };
+    this.config = { ...this.config, ...newConfig };
+    
+    // Validation des nouvelles options
+    this._validateOptions();
+
+    this.history.maxSize = this.config.historySize;
+    FpemDom.configure(newConfig);
+
+    // Changement de thème appliqué aux notifications affichées
+    if ('theme' in newConfig) {
+      this._applyThemeToAll();
+    }
+
+    // Changement de stockage ou d'espace de noms
+    if ('storage' in newConfig) {
+      this._storage = this._createStorageAdapter(this.config.storage);
+    }
+    this._persistenceKey = this._getStorageKey();
+
+    // Réapplication de la mise en page des containers existants
+    this._containers.forEach((container, position) => {
+      this._applyContainerPosition(container, position);
+      this._layoutStack(position);
+    });
+    this._processQueue();
+    
+    // Émission d'événement de changement de configuration
+    this._emitEvent('config-updated', { oldConfig, newConfig: this.config });
+  }
+
+  /**
+   * Retourne une copie de la configuration actuelle
+   * @returns {Object} Configuration actuelle
+   */
+  getConfig() {
+    return { ...this.config };
+  }
+
+  /**
+   * Émet un événement personnalisé
+   * @param {string} eventName - Nom de l'événement (sans préfixe)
+   * @param {Object} detail - Détails de l'événement
+   */
+  _emitEvent(eventName, detail = {}) {
+    const event = new CustomEvent(`fpemnotif:${eventName}`, {
+      detail: {
+        ...detail,
+        manager: this,
+        timestamp: Date.now()
+      },
+      bubbles: true,
+      composed: true
+    });
+
+    // Émission sur le container principal s'il existe
+    const mainContainer = this._containers.get(this.config.position);
+    if (mainContainer) {
+      mainContainer.dispatchEvent(event);
+    }
+
+    // Émission également sur document pour l'écoute globale
+    document.dispatchEvent(event);
+  }
+
+  /**
+   * Ajoute un listener d'événement pour les notifications
+   * @param {string} eventName - Nom de l'événement (sans préfixe fpemnotif:)
+   * @param {function} callback - Fonction de callback
+   * @returns {function} Fonction de suppression du listener
+   */
+  on(eventName, callback) {
+    const fullEventName = `fpemnotif:${eventName}`;
+    document.addEventListener(fullEventName, callback);
+    
+    // Retourne une fonction pour supprimer le listener
+    return () => document.removeEventListener(fullEventName, callback);
+  }
+
+  /**
+   * Enregistre une action nommée, référençable par son nom dans les
+   * notifications persistées, importées, synchronisées ou envoyées par un serveur
+   * @param {string} name - Nom unique de l'action
+   * @param {function} handler - Fonction appelée avec (payload, notification, event)
+   * @returns {function} Fonction de désenregistrement
+   */
+  registerAction(name, handler) {
+    if (typeof name !== 'string' || !name || typeof handler !== 'function') {
+      console.warn(`[FPEM NOTIF] Action invalide: ${name}`);
+      return () => {};
+    }
+
+    if (this._actionRegistry.has(name)) {
+      console.warn(`[FPEM NOTIF] Action '${name}' déjà enregistrée, remplacement`);
+    }
+
+    this._actionRegistry.set(name, handler);
+    return () => this.unregisterAction(name, handler);
+  }
+
+  /**
+   * Retire une action nommée du registre
+   * @param {string} name - Nom de l'action
+   * @param {function} handler - Handler attendu (optionnel, évite de retirer un remplaçant)
+   * @returns {boolean} Vrai si l'action a été retirée
+   */
+  unregisterAction(name, handler) {
+    if (handler && this._actionRegistry.get(name) !== handler) return false;
+    return this._actionRegistry.delete(name);
+  }
+
+  /**
+   * Vérifie si une action nommée est enregistrée
+   * @param {string} name - Nom de l'action
+   * @returns {boolean} Vrai si l'action existe
+   */
+  hasAction(name) {
+    return this._actionRegistry.has(name);
+  }
+
+  /**
+   * Exécute une action nommée depuis le registre
+   * @param {string} name - Nom de l'action
+   * @param {*} payload - Données JSON associées à l'action
+   * @param {HTMLElement} notification - Notification d'origine
+   * @param {Event} event - Événement de clic
+   * @returns {*} Résultat du handler
+   */
+  _runNamedAction(name, payload, notification, event) {
+    const handler = this._actionRegistry.get(name);
+    if (!handler) {
+      console.warn(`[FPEM NOTIF] Action non enregistrée: ${name}`);
+      return undefined;
+    }
+
+    return handler(payload ?? null, notification, event);
+  }
+
+  /**
+   * Conserve les actions nommées et les liens sous une forme sérialisable
+   * Les actions à callback direct ne peuvent pas survivre à la sérialisation
+   * @param {Array} actions - Actions de la notification
+   * @returns {Array|undefined} Actions nommées sérialisables
+   */
+  _serializeActions(actions = []) {
+    const named = actions
+      .filter(action => action && (action.name || (action.href && !action.callback)))
+      .map(action => ({
+        id: action.id,
+        label: action.label,
+        name: action.name,
+        payload: action.payload ?? null,
+        primary: !!action.primary,
+        variant: action.variant,
+        href: action.href,
+        target: action.target,
+        disabled: action.disabled,
+        closeOnClick: action.closeOnClick,
+        shortcut: action.shortcut
+      }));
+
+    return named.length > 0 ? named : undefined;
+  }
+
+  /**
+   * Supprime tous les listeners et nettoie les ressources
+   */
+  destroy() {
+    // Suppression de toutes les notifications, localement seulement
+    this._isDestroying = true;
+    this.clearAll(true);
+    this._isDestroying = false;
+    
+    // Nettoyage des containers
+    this._containers.forEach(container => {
+      if (container.parentNode) {
+        container.parentNode.removeChild(container);
+      }
+    });
+    this._containers.clear();
+
+    // Nettoyage des collections, les éléments en attente sont abandonnés
+    this.queues.forEach((queue, position) => {
+      queue.splice(0).forEach(entry => this._handleDropped(entry, position, 'destroyed'));
+    });
+    Array.from(this._leaderPending.keys()).forEach(id => this._dequeue(id, 'destroyed'));
+    this.notifications.clear();
+    this.groups.clear();
+    this.queues.clear();
+
+    // Nettoyage du stockage
+    clearTimeout(this._persistTimer);
+    this._persistTimer = null;
+    if (this.config.enablePersistence) {
+      const key = this._persistenceKey;
+      this._storageTask = this._storageTask
+        .then(() => this._storage.removeItem(key))
+        .catch(error => console.warn('[FPEM NOTIF] Erreur lors du nettoyage du stockage:', error));
+    }
+
+    // Fermeture du canal de synchronisation
+    if (this._tabSync) {
+      this._tabSync.destroy();
+      this._tabSync = null;
+    }
+
+    // Retrait de la région d'annonce
+    this._announcer.destroy();
+
+    // Suppression des raccourcis clavier globaux
+    if (this._keyboardHandler) {
+      document.removeEventListener('keydown', this._keyboardHandler);
+      this._keyboardHandler = null;
+    }
+
+    // Arrêt du suivi des préférences système
+    Object.values(this._themeQueries || {}).forEach(query => {
+      query.removeEventListener?.('change', this._themeChangeHandler);
+    });
+
+    // Émission d'événement de destruction
+    this._emitEvent('destroyed', { manager: this });
+  }
+
+  /**
+   * Méthode pour créer un builder de notification
+   * @param {string} type - Type de notification
+   * @returns {FpemNotificationBuilder} Instance du builder
+   */
+  create(type = 'custom') {
+    return new FpemNotificationBuilder(this, type);
+  }
+
+  /**
+   * Méthode avec mise à jour automatique et progression
+   * @param {string} type - Type initial
+   * @param {Object} initialOptions - Options initiales
+   * @param {Object} updateOptions - Options de mise à jour
+   * @param {number} updateDelay - Délai avant mise à jour (ms)
+   * @param {number} keepAfterUpdate - Durée après mise à jour (ms)
+   * @returns {string} ID de la notification
+   */
+  notifyWithAutoUpdate(type, initialOptions = {}, updateOptions = {}, updateDelay = 3000, keepAfterUpdate = 3000) {
+    // Création de la notification persistante initiale avec progression
+    const id = initialOptions.id || this._generateId();
+    const notification = this.notify(type, {
+      ...initialOptions,
+      id,
+      persistent: true,
+      showProgress: true,
+      showCloseButton: false
+    });
+
+    if (notification instanceof FpemNotification) {
+      // Démarrage de l'animation de progression
+      notification.startProgressAnimation(updateDelay);
+
+      // Programmation de la mise à jour
+      setTimeout(() => {
+        this.update(id, {
+          ...updateOptions,
+          persistent: false,
+          duration: keepAfterUpdate,
+          showCloseButton: true,
+          progress: 100
+        });
+      }, updateDelay);
+    }
+
+    return id;
+  }
+
+  /**
+   * Met à jour une notification existante
+   * @param {string} id - ID de la notification
+   * @param {Object} options - Nouvelles options
+   * @returns {HTMLElement|null} Notification mise à jour ou null
+   */
+  update(id, options = {}) {
+    return this._updateExistingNotification(id, this._validateAndNormalizeOptions('custom', options), options);
+  }
+
+  /**
+   * Affiche une notification avec gestion d'erreur intégrée
+   * @param {string} type - Type de notification
+   * @param {Object} options - Options de configuration
+   * @returns {HTMLElement|null} Notification créée ou null en cas d'erreur
+   */
+  safeNotify(type, options = {}) {
+    try {
+      return this.notify(type, options);
+    } catch (error) {
+      console.error('[FPEM NOTIF] Erreur lors de la création de la notification:', error);
+      
+      // Tentative de notification d'erreur simplifiée
+      try {
+        return this.notify('error', {
+          title: 'Erreur système',
+          message: 'Une erreur est survenue lors de l\'affichage de la notification.',
+          persistent: false,
+          duration: 5000
+        });
+      } catch (fallbackError) {
+        console.error('[FPEM NOTIF] Erreur critique du système de notification:', fallbackError);
+        return null;
+      }
+    }
+  }
+
+  // === MÉTHODES RACCOURCIES POUR LES TYPES COURANTS ===
+
+  /**
+   * Affiche une notification de succès
+   * @param {Object|string} options - Options ou message direct
+   * @returns {HTMLElement|Object|null} Notification créée, poignée {id, queued, cancel} si en attente, ou null
+   */
+  success(options) {
+    if (typeof options === 'string') {
+      options = { message: options };
+    }
+    return this.notify('success', options);
+  }
+
+  /**
+   * Affiche une notification d'erreur
+   * @param {Object|string} options - Options ou message direct
+   * @returns {HTMLElement|Object|null} Notification créée, poignée {id, queued, cancel} si en attente, ou null
+   */
+  error(options) {
+    if (typeof options === 'string') {
+      options = { message: options };
+    }
+    return this.notify('error', { duration: 6000, ...options });
+  }
+
+  /**
+   * Affiche une notification d'avertissement
+   * @param {Object|string} options - Options ou message direct
+   * @returns {HTMLElement|Object|null} Notification créée, poignée {id, queued, cancel} si en attente, ou null
+   */
+  warning(options) {
+    if (typeof options === 'string') {
+      options = { message: options };
+    }
+    return this.notify('warning', options);
+  }
+
+  /**
+   * Affiche une notification d'information
+   * @param {Object|string} options - Options ou message direct
+   * @returns {HTMLElement|Object|null} Notification créée, poignée {id, queued, cancel} si en attente, ou null
+   */
+  info(options) {
+    if (typeof options === 'string') {
+      options = { message: options };
+    }
+    return this.notify('info', options);
+  }
+
+  /**
+   * Affiche une notification personnalisée
+   * @param {Object|string} options - Options ou message direct
+   * @returns {HTMLElement|Object|null} Notification créée, poignée {id, queued, cancel} si en attente, ou null
+   */
+  custom(options) {
+    if (typeof options === 'string') {
+      options = { message: options };
+    }
+    return this.notify('custom', options);
+  }
+
+  // === MÉTHODES UTILITAIRES AVANCÉES ===
+
+  /**
+   * Affiche une notification de chargement avec progression
+   * Options propres au chargement : indeterminate, steps (noms des étapes),
+   * showEta, abortController (ajoute une action Annuler), cancelLabel
+   * et finally (appelé une seule fois avec success, error, cancelled ou closed)
+   * @param {Object} options - Options de configuration
+   * @returns {Object} Contrôleur de la notification de chargement
+   */
+  loading(options = {}) {
+    const {
+      steps = [],
+      showEta = true,
+      abortController = null,
+      cancelLabel = 'Annuler',
+      finally: onFinally,
+      ...notifyOptions
+    } = options;
+    const id = notifyOptions.id || this._generateId();
+    const baseTitle = notifyOptions.title || 'Chargement...';
+
+    const state = {
+      message: notifyOptions.message || 'Veuillez patienter',
+      step: steps.length > 0 ? 0 : -1,
+      eta: null,
+      firstSample: null,
+      settled: false
+    };
+
+    // Titre complété par l'étape courante (« Upload 2/4 : Redimensionnement »)
+    const composeTitle = () => state.step >= 0
+      ? `${baseTitle} ${state.step + 1}/${steps.length} : ${steps[state.step]}`
+      : baseTitle;
+    const composeMessage = () => state.eta ? `${state.message} · ${state.eta}` : state.message;
+
+    const render = (extra = {}) => {
+      if (state.settled || !this.notifications.has(id)) return;
+      this.update(id, { title: composeTitle(), message: composeMessage(), ...extra });
+    };
+
+    // Fin de l'opération, quelle qu'en soit l'issue (une seule fois)
+    const finish = (outcome) => {
+      if (state.settled) return false;
+      state.settled = true;
+      abortController?.signal.removeEventListener('abort', onAbort);
+
+      if (onFinally) {
+        try {
+          onFinally(outcome);
+        } catch (error) {
+          console.error('[FPEM NOTIF] Erreur dans le callback finally du chargement:', error);
+        }
+      }
+      return true;
+    };
+
+    const onAbort = () => controller.cancel();
+    abortController?.signal.addEventListener('abort', onAbort, { once: true });
+
+    // Action Annuler reliée à l'AbortController de l'appelant
+    const actions = abortController
+      ? [...(notifyOptions.actions || []), { id: 'cancel', label: cancelLabel, callback: () => abortController.abort() }]
+      : notifyOptions.actions;
+
+    const notification = this.notify('info', {
+      // Chaque chargement reste distinct : pas de regroupement par titre
+      dedupeKey: id,
+      // Sans bouton de fermeture, le balayage ne doit pas interrompre l'opération
+      swipeable: false,
+      ...notifyOptions,
+      id,
+      icon: '⏳',
+      persistent: true,
+      showProgress: true,
+      indeterminate: notifyOptions.indeterminate ?? notifyOptions.progress === undefined,
+      showCloseButton: false,
+      title: composeTitle(),
+      message: composeMessage(),
+      actions,
+      // Retrait par un autre chemin (clearAll, destroy, éviction) : fin propre
+      onClose: (closed, reason) => {
+        finish('closed');
+        if (notifyOptions.onClose) notifyOptions.onClose(closed, reason);
+      }
+    });
+
+    let currentProgress = 0;
+
+    const controller = {
+      notification,
+      id,
+      
+      /**
+       * Met à jour le message de chargement
+       * @param {string} message - Nouveau message
+       */
+      updateMessage: (message) => {
+        state.message = message;
+        render();
+      },
+
+      /**
+       * Met à jour la progression et l'estimation du temps restant
+       * @param {number} progress - Progression (0-100)
+       * @param {string} message - Message optionnel
+       */
+      updateProgress: (progress, message) => {
+        currentProgress = Math.max(0, Math.min(100, progress));
+        if (message) state.message = message;
+
+        // Temps restant estimé depuis le rythme observé depuis la première mesure
+        const now = Date.now();
+        state.firstSample = state.firstSample || { progress: currentProgress, at: now };
+        const rate = (currentProgress - state.firstSample.progress) / (now - state.firstSample.at);
+        state.eta = showEta && rate > 0 && currentProgress < 100
+          ? this._formatRemaining((100 - currentProgress) / rate)
+          : null;
+
+        // L'estimation change à chaque mesure : seul un nouveau message est annoncé
+        render({ progress: currentProgress, indeterminate: false, announce: !!message });
+      },
+
+      /**
+       * Passe à une étape nommée
+       * @param {number|string} step - Index ou nom de l'étape
+       * @param {string} message - Message optionnel
+       */
+      step: (step, message) => {
+        const index = typeof step === 'number' ? step : steps.indexOf(step);
+        if (index < 0 || index >= steps.length) {
+          console.warn(`[FPEM NOTIF] Étape de chargement inconnue: ${step}`);
+          return;
+        }
+
+        state.step = index;
+        if (message) state.message = message;
+        render();
+      },
+
+      /**
+       * Passe à l'étape suivante
+       * @param {string} message - Message optionnel
+       */
+      nextStep: (message) => {
+        controller.step(Math.min(state.step + 1, steps.length - 1), message);
+      },
+
+      /**
+       * Termine le chargement avec succès
+       * @param {string|Object} message - Message de succès ou options de la notification
+       * @param {number} duration - Durée d'affichage du succès
+       */
+      success: (message = 'Terminé !', duration = 2000) => {
+        if (!finish('success')) return;
+
+        if (this.notifications.has(id)) {
+          this.update(id, {
+            type: 'success',
+            icon: '✅',
+            title: 'Succès',
+            progress: 100,
+            indeterminate: false,
+            actions: [],
+            persistent: false,
+            duration,
+            showCloseButton: true,
+            ...(typeof message === 'object' ? message : { message })
+          });
+        }
+      },
+
+      /**
+       * Termine le chargement avec erreur
+       * @param {string|Object} message - Message d'erreur ou options de la notification
+       * @param {number} duration - Durée d'affichage de l'erreur
+       */
+      error: (message = 'Une erreur est survenue', duration = 5000) => {
+        if (!finish('error')) return;
+
+        if (this.notifications.has(id)) {
+          this.update(id, {
+            type: 'error',
+            icon: '❌',
+            title: 'Erreur',
+            // Pas de barre vide annoncée comme progression à 0
+            progress: null,
+            indeterminate: false,
+            actions: [],
+            persistent: false,
+            duration,
+            showCloseButton: true,
+            ...(typeof message === 'object' ? message : { message })
+          });
+        }
+      },
+
+      /**
+       * Annule le chargement (et l'opération si un AbortController est fourni)
+       */
+      cancel: () => {
+        if (!finish('cancelled')) return;
+
+        if (abortController && !abortController.signal.aborted) {
+          abortController.abort();
+        }
+        this.removeById(id, 'cancelled');
+      }
+    };
+
+    // Opération déjà annulée avant l'affichage
+    if (abortController?.signal.aborted) {
+      controller.cancel();
+    }
+
+    return controller;
+  }
+
+  /**
+   * Formate une durée restante estimée
+   * @param {number} ms - Durée en millisecondes
+   * @returns {string} Libellé du temps restant
+   */
+  _formatRemaining(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `~${seconds} s restantes`;
+    return `~${Math.ceil(seconds / 60)} min restantes`;
+  }
+
+  /**
+   * Suit une opération asynchrone : chargement, puis succès ou erreur
+   * success et error acceptent une chaîne, des options ou une fonction
+   * recevant le résultat (ou l'erreur) et retournant l'une ou l'autre
+   * @param {Promise|Function} promiseOrFn - Promise ou fonction (signal) retournant une Promise
+   * @param {Object} options - {loading, success, error, signal, minDuration}
+   * @returns {Promise} Promise de l'opération, inchangée
+   */
+  promise(promiseOrFn, options = {}) {
+    const { loading = {}, success, error, signal, minDuration = 500 } = options;
+    const promise = typeof promiseOrFn === 'function'
+      ? new Promise(resolve => resolve(promiseOrFn(signal)))
+      : Promise.resolve(promiseOrFn);
+
+    // Opération déjà annulée : aucune notification
+    if (signal?.aborted) return promise;
+
+    const loader = this.loading(typeof loading === 'string' ? { message: loading } : loading);
+    const startedAt = Date.now();
+
+    // Annulation : retrait du chargement, le résultat sera ignoré
+    const onAbort = () => loader.cancel();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const settle = (outcome, entry, value) => {
+      // Durée minimale du chargement pour éviter un clignotement
+      const delay = Math.max(0, minDuration - (Date.now() - startedAt));
+
+      setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        if (signal?.aborted) return;
+
+        try {
+          const content = typeof entry === 'function' ? entry(value) : entry;
+          loader[outcome](content ?? undefined);
+        } catch (callbackError) {
+          console.error('[FPEM NOTIF] Erreur dans le message de la promesse:', callbackError);
+          loader[outcome]();
+        }
+      }, delay);
+    };
+
+    // Sans message d'erreur fourni, celui de l'erreur est affiché
+    promise.then(
+      value => settle('success', success, value),
+      reason => settle('error', error ?? (reason => reason?.message), reason)
+    );
+
+    return promise;
+  }
+
+  /**
+   * Affiche une notification de confirmation avec actions
+   * @param {Object} options - {title, message, confirmLabel, cancelLabel, timeout}
+   * @returns {Promise<boolean>} Vrai si confirmé, faux si annulé, expiré ou écarté
+   */
+  confirm(options = {}) {
+    const { confirmLabel, cancelLabel, ...notifyOptions } = options;
+
+    return this._openInteractive('warning', {
+      ...notifyOptions,
+      icon: options.icon || '❓',
+      showCloseButton: false,
+      title: options.title || 'Confirmation',
+      message: options.message || 'Êtes-vous sûr ?'
+    }, settle => ({
+      actions: [
+        { label: confirmLabel || 'Confirmer', callback: () => settle('confirmed', true), primary: true },
+        { label: cancelLabel || 'Annuler', callback: () => settle('cancelled') }
+      ]
+    })).then(result => result.status === 'confirmed');
+  }
+
+  /**
+   * Demande une saisie dans la notification
+   * @param {Object} options - {label, placeholder, value, inputType, required, validate, submitLabel, cancelLabel, timeout}
+   * @returns {Promise<Object>} {status: 'confirmed', value} ou {status: 'cancelled'|'timeout'|'dismissed'}
+   */
+  prompt(options = {}) {
+    const { label, placeholder, value, inputType = 'text', required = false, validate, ...formOptions } = options;
+
+    return this.form({
+      title: 'Saisie',
+      icon: '✏️',
+      ...formOptions,
+      fields: [{ name: 'value', label, placeholder, value, type: inputType, required, validate }]
+    }).then(result => result.status === 'confirmed' ? { status: result.status, value: result.value.value } : result);
+  }
+
+  /**
+   * Propose plusieurs choix sous forme de boutons
+   * @param {Object} options - {options: [chaîne ou {label, value, primary}], cancelLabel, timeout}
+   * @returns {Promise<Object>} {status: 'confirmed', value} ou {status: 'cancelled'|'timeout'|'dismissed'}
+   */
+  choose(options = {}) {
+    const { options: choices = [], cancelLabel, type = 'info', ...notifyOptions } = options;
+
+    return this._openInteractive(type, { icon: '❔', title: 'Choix', ...notifyOptions }, settle => ({
+      actions: [
+        ...choices.map(choice => {
+          const { label, value = label, primary = false } = typeof choice === 'object'
+            ? choice
+            : { label: String(choice), value: choice };
+          return { label, primary, callback: () => settle('confirmed', value) };
+        }),
+        ...(cancelLabel ? [{ label: cancelLabel, callback: () => settle('cancelled') }] : [])
+      ]
+    }));
+  }
+
+  /**
+   * Affiche un formulaire de plusieurs champs dans la notification
+   * @param {Object} options - {fields, validate, submitLabel, cancelLabel, timeout, autoFocus}
+   *   fields : [{name, label, type, placeholder, value, required, options, validate}]
+   * @returns {Promise<Object>} {status: 'confirmed', value: valeurs} ou {status: 'cancelled'|'timeout'|'dismissed'}
+   */
+  form(options = {}) {
+    const { fields = [], validate, submitLabel, cancelLabel, type = 'info', ...notifyOptions } = options;
+
+    const form = document.createElement('fpem-notification-form');
+    form.setFields(fields, { validate, submitLabel, cancelLabel });
+
+    // Saisie demandée par l'appelant : le premier champ reçoit le focus à l'affichage
+    const autoFocus = notifyOptions.autoFocus !== false;
+    if (autoFocus) {
+      form.setAttribute('autofocus', '');
+    }
+
+    return this._openInteractive(type, { icon: '📝', title: 'Formulaire', ...notifyOptions, autoFocus }, settle => {
+      form.addEventListener('fpemnotif:form-submit', (e) => settle('confirmed', e.detail.values));
+      form.addEventListener('fpemnotif:form-cancel', () => settle('cancelled'));
+      return { slots: { ...notifyOptions.slots, footer: form } };
+    });
+  }
+
+  /**
+   * Ouvre une notification interactive et résout son issue de façon structurée
+   * Échap annule, toute autre fermeture (bouton, clearAll, destroy) écarte la demande
+   * @param {string} type - Type de notification
+   * @param {Object} options - Options de la notification (timeout en ms)
+   * @param {Function} setup - (settle) => options complémentaires (actions, slots)
+   * @returns {Promise<Object>} {status, value}
+   */
+  _openInteractive(type, options, setup) {
+    return new Promise((resolve) => {
+      const { timeout, onClose, ...notifyOptions } = options;
+      const id = this._generateId();
+      let settled = false;
+
+      // Retrait de la notification, ou de la file si elle n'est pas encore affichée
+      const settle = (status, value) => {
+        if (settled) return;
+        settled = true;
+
+        resolve(status === 'confirmed' ? { status, value } : { status });
+        this.removeById(id, status);
+      };
+
+      // Le délai suit le compte à rebours de la notification : il ne démarre qu'à
+      // l'affichage et reste en pause pendant le survol ou la saisie
+      // Les réponses restent locales : ni synchronisées ni restaurées
+      this.notify(type, {
+        persistent: !timeout,
+        ...(timeout ? { duration: timeout } : {}),
+        swipeable: false,
+        sync: false,
+        restoreOnLoad: false,
+        ...notifyOptions,
+        ...setup(settle),
+        id,
+        dedupeKey: id,
+        onClose: (notification, reason) => {
+          const closedStatus = { keyboard: 'cancelled', timeout: 'timeout' }[reason] || 'dismissed';
+          settle(closedStatus);
+          if (onClose) onClose(notification, reason);
+        }
+      });
+    });
+  }
+
+  /**
+   * Affiche une action annulable dont la validation est différée
+   * commit s'exécute une seule fois à l'expiration du compte à rebours (mis en pause
+   * au survol), à la fermeture de la notification ou au départ de la page ;
+   * undo s'exécute à la place si l'utilisateur clique sur le bouton d'annulation
+   * @param {Object} options - {message, commit, undo, timeout, undoLabel}
+   * @returns {Promise<Object>} {status: 'committed', reason: 'timeout'|'dismissed'|'unload', value}
+   *   ou {status: 'undone', value}, rejetée si commit ou undo échoue
+   */
+  undoable(options = {}) {
+    const { commit, undo, timeout = 5000, undoLabel = 'Annuler', type = 'info', onClose, ...notifyOptions } = options;
+
+    return new Promise((resolve, reject) => {
+      const id = this._generateId();
+      let settled = false;
+
+      const settle = (status, reason) => {
+        if (settled) return;
+        settled = true;
+        window.removeEventListener('pagehide', onPageHide);
+
+        // Appel synchrone : au départ de la page, il n'y aura pas de tâche suivante
+        let result;
+        try {
+          result = status === 'undone' ? undo?.() : commit?.();
+        } catch (error) {
+          reject(error);
+          return;
+        }
+
+        Promise.resolve(result).then(
+          value => resolve(status === 'undone' ? { status, value } : { status, reason, value }),
+          reject
+        );
+      };
+
+      const onPageHide = () => settle('committed', 'unload');
+      window.addEventListener('pagehide', onPageHide);
+
+      // Chaque action annulable a sa propre notification, qui s'empile avec les autres
+      this.notify(type, {
+        showProgress: true,
+        sync: false,
+        restoreOnLoad: false,
+        ...notifyOptions,
+        id,
+        dedupeKey: id,
+        persistent: false,
+        duration: timeout,
+        actions: [
+          ...(notifyOptions.actions || []),
+          {
+            id: 'undo',
+            label: undoLabel,
+            primary: true,
+            callback: () => {
+              settle('undone');
+              this.removeById(id, 'undone');
+            }
+          }
+        ],
+        // Toute autre fermeture, y compris l'abandon en file d'attente, valide l'action
+        onClose: (notification, reason) => {
+          settle('committed', reason === 'timeout' ? 'timeout' : 'dismissed');
+          if (onClose) onClose(notification, reason);
+        }
+      });
+    });
+  }
+
+  /**
+   * Affiche une série de notifications avec délai
+   * @param {Array} notifications - Tableau de notifications à afficher
+   * @param {number} delay - Délai entre chaque notification (ms)
+   * @returns {Promise} Promise résolue quand toutes sont affichées
+   */
+  sequence(notifications = [], delay = 500) {
+    return new Promise((resolve) => {
+      let index = 0;
+      
+      const showNext = () => {
+        if (index >= notifications.length) {
+          resolve();
+          return;
+        }
+
+        const notif = notifications[index];
+        this.notify(notif.type || 'info', notif.options || {});
+        
+        index++;
+        setTimeout(showNext, delay);
+      };
+
+      showNext();
+    });
+  }
+
+  /**
+   * Importe des notifications depuis un fichier JSON
+   * @param {string} jsonData - Données JSON des notifications
+   * @returns {Array<HTMLElement|Object>} Notifications importées (éléments affichés ou
+   *   poignées {id, queued, cancel} des notifications en attente), sans les ignorées
+   */
+  importFromJSON(jsonData) {
+    try {
+      const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+      const imported = [];
+
+      if (Array.isArray(data)) {
+        data.forEach(notifData => {
+          if (notifData.type && (notifData.message || notifData.title)) {
+            const notification = this.notify(notifData.type, notifData);
+            if (notification) imported.push(notification);
+          }
+        });
+      }
+
+      return imported;
+    } catch (error) {
+      console.error('[FPEM NOTIF] Erreur lors de l\'importation:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Exporte les notifications actuelles vers JSON
+   * @param {boolean} includeTransient - Inclure les notifications temporaires
+   * @returns {string} Données JSON des notifications
+   */
+  exportToJSON(includeTransient = false) {
+    const notifications = Array.from(this.notifications.values())
+      .filter(notif => includeTransient || notif.persistent)
+      // timestamp conservé comme alias de createdAt pour les consommateurs existants
+      .map(notif => {
+        const serialized = this._serializeNotification(notif);
+        return { ...serialized, timestamp: serialized.createdAt };
+      });
+
+    return JSON.stringify(notifications, null, 2);
+  }
+
+  /**
+   * Retourne des statistiques d'utilisation
+   * @returns {Object} Statistiques du gestionnaire
+   */
+  getStats() {
+    const activeNotifications = Array.from(this.notifications.values());
+    const byType = {};
+    const byPosition = {};
+
+    activeNotifications.forEach(notif => {
+      const type = notif.type || 'custom';
+      byType[type] = (byType[type] || 0) + 1;
+
+      const container = notif.parentNode;
+      if (container && container.dataset.position) {
+        const pos = container.dataset.position;
+        byPosition[pos] = (byPosition[pos] || 0) + 1;
+      }
+    });
+
+    return {
+      totalActive: this.notifications.size,
+      queueSize: this.queue.length,
+      queueByPosition: Object.fromEntries(
+        Array.from(this.queues.entries()).map(([position, queue]) => [position, queue.length])
+      ),
+      groupsCount: this.groups.size,
+      byType,
+      byPosition,
+      config: this.getConfig(),
+      containers: Array.from(this._containers.keys())
+    };
+  }
+}
+
+/**
+ * ========================================================================
+ * FPEM NOTIFICATION CENTER WEB COMPONENT
+ * ========================================================================
+ * 
+ * Centre de notifications : bouton cloche avec badge des non lues
+ * et panneau listant l'historique des notifications fermées.
+ * Se connecte par défaut à l'instance globale window.fpemNotif.
+ */
+class FpemNotificationCenter extends HTMLElement {
+
+  // Feuille de styles et markup partagés, créés à la première instance
+  static _sharedStyleSheet = undefined;
+  static _markup = null;
+
+  /**
+   * Liste des attributs surveillés
+   */
+  static get observedAttributes() {
+    return ['open', 'filter'];
+  }
+
+  /**
+   * Constructeur du centre de notifications
+   */
+  constructor() {
+    super();
+
+    // Gestionnaire dont l'historique est affiché
+    this._manager = null;
+    this._unsubscribe = null;
+
+    // Handlers stockés pour pouvoir les supprimer proprement
+    this._boundHandlers = new Map();
+
+    // Création du Shadow DOM avec mode fermé pour sécurité
+    this._shadowRoot = this.attachShadow({ mode: 'closed' });
+    FpemDom.adoptStyles(this._shadowRoot, FpemNotificationCenter);
+    FpemNotificationCenter._markup ??= FpemNotificationCenter._buildMarkup();
+    this._shadowRoot.appendChild(FpemNotificationCenter._markup.cloneNode(true));
+
+    this._cacheElementReferences();
+    this._setupEventListeners();
+  }
+
+  /**
+   * Styles CSS du centre de notifications
+   * @returns {string} Feuille de styles
+   */
+  static get styles() {
+    return `
+        :host {
+          --center-bg: #ffffff;
+          --center-color: #1f2937;
+          --center-border: rgba(0,0,0,0.1);
+          --center-accent: #3b82f6;
+          --center-badge-bg: #ef4444;
+          --center-badge-color: #ffffff;
+          --center-shadow: 0 8px 24px rgba(0,0,0,0.15);
+          --center-font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+
+          position: relative;
+          display: inline-block;
+          font-family: var(--center-font-family);
+          font-size: 0.875rem;
+          line-height: 1.5;
+        }
+
+        /* === BOUTON CLOCHE === */
+        .bell {
+          position: relative;
+          background: transparent;
+          border: none;
+          cursor: pointer;
+          font-size: 1.25rem;
+          line-height: 1;
+          padding: 0.375rem;
+          border-radius: 0.375rem;
+          color: inherit;
+        }
+
+        .bell:hover,
+        .bell:focus-visible {
+          background: rgba(0,0,0,0.08);
+          outline: none;
+        }
+
+        .badge {
+          position: absolute;
+          top: 0;
+          right: 0;
+          min-width: 1.125rem;
+          height: 1.125rem;
+          padding: 0 0.25rem;
+          box-sizing: border-box;
+          border-radius: 999px;
+          background: var(--center-badge-bg);
+          color: var(--center-badge-color);
+          font-size: 0.6875rem;
+          font-weight: 600;
+          line-height: 1.125rem;
+          text-align: center;
+        }
+
+        .badge[hidden] {
+          display: none;
+        }
+
+        /* === PANNEAU === */
+        .panel {
+          position: absolute;
+          top: calc(100% + 0.5rem);
+          right: 0;
+          z-index: 10000000;
+          width: min(340px, calc(100vw - 2rem));
+          max-height: 420px;
+          display: flex;
+          flex-direction: column;
+          background: var(--center-bg);
+          color: var(--center-color);
+          border: 1px solid var(--center-border);
+          border-radius: 0.5rem;
+          box-shadow: var(--center-shadow);
+          overflow: hidden;
+        }
+
+        .panel[hidden] {
+          display: none;
+        }
+
+        .panel-header,
+        .panel-actions {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 0.5rem;
+          padding: 0.625rem 0.75rem;
+          border-bottom: 1px solid var(--center-border);
+        }
+
+        .panel-title {
+          font-weight: 600;
+        }
+
+        .filter {
+          font: inherit;
+          font-size: 0.8125rem;
+        }
+
+        .panel-actions button,
+        .item-read-btn {
+          background: transparent;
+          border: none;
+          color: var(--center-accent);
+          cursor: pointer;
+          font: inherit;
+          font-size: 0.8125rem;
+          padding: 0.125rem 0.25rem;
+          border-radius: 0.25rem;
+        }
+
+        .panel-actions button:hover,
+        .panel-actions button:focus-visible,
+        .item-read-btn:hover,
+        .item-read-btn:focus-visible {
+          text-decoration: underline;
+          outline: none;
+        }
+
+        /* === LISTE === */
+        .list {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          overflow-y: auto;
+        }
+
+        .item {
+          display: flex;
+          align-items: flex-start;
+          gap: 0.625rem;
+          padding: 0.625rem 0.75rem;
+          border-bottom: 1px solid var(--center-border);
+        }
+
+        .item[data-read="false"] {
+          background: rgba(59,130,246,0.06);
+        }
+
+        .item-icon {
+          flex-shrink: 0;
+          line-height: 1.25;
+        }
+
+        .item-content {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .item-title {
+          font-weight: 600;
+          word-wrap: break-word;
+        }
+
+        .item-message {
+          opacity: 0.85;
+          white-space: pre-line;
+          word-wrap: break-word;
+        }
+
+        .item-meta {
+          font-size: 0.75rem;
+          opacity: 0.6;
+        }
+
+        .empty {
+          margin: 0;
+          padding: 1.5rem 0.75rem;
+          text-align: center;
+          opacity: 0.6;
+        }
+
+        .empty[hidden] {
+          display: none;
+        }
+
+        /* === MODE SOMBRE AUTOMATIQUE === */
+        @media (prefers-color-scheme: dark) {
+          :host {
+            --center-bg: #1f2937;
+            --center-color: #f3f4f6;
+            --center-border: rgba(255,255,255,0.12);
+          }
+        }
+    `;
+  }
+
+  /**
+   * Construit le markup interne, sans HTML en chaîne (Trusted Types)
+   * @returns {DocumentFragment} Structure du Shadow DOM
+   */
+  static _buildMarkup() {
+    const h = FpemDom.h;
+    const filterOptions = [
+      ['all', 'Tous'],
+      ['success', 'Succès'],
+      ['error', 'Erreurs'],
+      ['warning', 'Avertissements'],
+      ['info', 'Informations'],
+      ['custom', 'Autres']
+    ];
+    const fragment = document.createDocumentFragment();
+
+    fragment.append(
+      h('button', {
+        type: 'button', class: 'bell', part: 'bell',
+        'aria-haspopup': 'true', 'aria-expanded': 'false', 'aria-controls': 'panel'
+      }, [
+        h('span', { 'aria-hidden': 'true' }, ['🔔']),
+        h('span', { class: 'badge', part: 'badge', 'aria-hidden': 'true', hidden: true })
+      ]),
+
+      h('div', {
+        class: 'panel', id: 'panel', part: 'panel',
+        role: 'dialog', 'aria-label': 'Historique des notifications', hidden: true
+      }, [
+        h('div', { class: 'panel-header', part: 'panel-header' }, [
+          h('span', { class: 'panel-title' }, ['Notifications']),
+          h('select', { class: 'filter', part: 'filter', 'aria-label': 'Filtrer par type' },
+            filterOptions.map(([value, label]) => h('option', { value }, [label])))
+        ]),
+
+        h('div', { class: 'panel-actions', part: 'panel-actions' }, [
+          h('button', { type: 'button', class: 'mark-all-btn', part: 'mark-all-btn' }, ['Tout marquer comme lu']),
+          h('button', { type: 'button', class: 'clear-btn', part: 'clear-btn' }, ['Effacer'])
+        ]),
+
+        h('ul', { class: 'list', part: 'list' }),
+        h('p', { class: 'empty', part: 'empty' }, ['Aucune notification'])
+      ])
+    );
+
+    return fragment;
   }
 
   /**
-   * Change la durée par défaut des notifications
-   * @param {number} duration - Nouvelle durée en millisecondes
+   * Met en cache les références vers les éléments du Shadow DOM
    */
-  setDefaultDuration(duration) {
-    if (typeof duration === 'number' && duration >= 0) {
-      this.config.duration = duration;
-    }
+  _cacheElementReferences() {
+    this._bellBtn = this._shadowRoot.querySelector('.bell');
+    this._badgeElem = this._shadowRoot.querySelector('.badge');
+    this._panelElem = this._shadowRoot.querySelector('.panel');
+    this._filterElem = this._shadowRoot.querySelector('.filter');
+    this._markAllBtn = this._shadowRoot.querySelector('.mark-all-btn');
+    this._clearBtn = this._shadowRoot.querySelector('.clear-btn');
+    this._listElem = this._shadowRoot.querySelector('.list');
+    this._emptyElem = this._shadowRoot.querySelector('.empty');
   }
 
   /**
-   * Active ou désactive le groupement des notifications
-   * @param {boolean} enabled - État du groupement
+   * Configure tous les event listeners avec références stockées
    */
-  setGroupSimilar(enabled) {
-    this.config.groupSimilar = !!enabled;
+  _setupEventListeners() {
+    const bellHandler = () => { this.open = !this.open; };
+    this._boundHandlers.set('bell', bellHandler);
+    this._bellBtn.addEventListener('click', bellHandler);
+
+    const filterHandler = () => { this.filter = this._filterElem.value; };
+    this._boundHandlers.set('filter', filterHandler);
+    this._filterElem.addEventListener('change', filterHandler);
+
+    const markAllHandler = () => this.markAllAsRead();
+    this._boundHandlers.set('mark-all', markAllHandler);
+    this._markAllBtn.addEventListener('click', markAllHandler);
+
+    const clearHandler = () => this.clear();
+    this._boundHandlers.set('clear', clearHandler);
+    this._clearBtn.addEventListener('click', clearHandler);
+
+    // Marquage individuel via délégation sur la liste
+    const listHandler = (e) => {
+      const button = e.target.closest('.item-read-btn');
+      if (button) {
+        this.markAsRead(button.dataset.id);
+      }
+    };
+    this._boundHandlers.set('list', listHandler);
+    this._listElem.addEventListener('click', listHandler);
+
+    // Échap referme le panneau et rend le focus à la cloche
+    const keyHandler = (e) => {
+      if (e.key === 'Escape' && this.open) {
+        e.preventDefault();
+        this.open = false;
+        this._bellBtn.focus();
+      }
+    };
+    this._boundHandlers.set('keyboard', keyHandler);
+    this.addEventListener('keydown', keyHandler);
+
+    // Clic hors du composant pour refermer le panneau (attaché à la connexion)
+    const outsideHandler = (e) => {
+      if (this.open && !e.composedPath().includes(this)) {
+        this.open = false;
+      }
+    };
+    this._boundHandlers.set('outside', outsideHandler);
+
+    // Types enregistrés ou retirés après la connexion
+    this._boundHandlers.set('types', () => this._renderTypeOptions());
   }
 
   /**
-   * Met à jour la configuration du gestionnaire
-   * @param {Object} newConfig - Nouvelle configuration
+   * Callback appelé automatiquement lors des changements d'attributs
+   * @param {string} name - Nom de l'attribut modifié
    */
-  updateConfig(newConfig) {
-    const oldConfig = { ...this.config };
-    this.config = { ...this.config, ...newConfig };
-    
-    // Validation des nouvelles options
-    this._validateOptions();
-    
-    // Émission d'événement de changement de configuration
-    this._emitEvent('config-updated', { oldConfig, newConfig: this.config });
+  attributeChangedCallback(name) {
+    switch (name) {
+      case 'open':
+        this._bellBtn.setAttribute('aria-expanded', String(this.open));
+        this._panelElem.hidden = !this.open;
+        break;
+
+      case 'filter':
+        this._filterElem.value = this.filter;
+        this._render();
+        break;
+    }
   }
 
   /**
-   * Retourne une copie de la configuration actuelle
-   * @returns {Object} Configuration actuelle
+   * Appelé quand l'élément est ajouté au DOM
    */
-  getConfig() {
-    return { ...this.config };
+  connectedCallback() {
+    // Connexion à l'instance globale si aucun gestionnaire n'est fourni
+    if (!this._manager && typeof window !== 'undefined' && window.fpemNotif) {
+      this.manager = window.fpemNotif;
+    }
+
+    document.addEventListener('click', this._boundHandlers.get('outside'));
+    FpemNotif._typeListeners.add(this._boundHandlers.get('types'));
+    this._render();
   }
 
   /**
-   * Émet un événement personnalisé
-   * @param {string} eventName - Nom de l'événement (sans préfixe)
-   * @param {Object} detail - Détails de l'événement
+   * Synchronise le filtre avec les types enregistrés via FpemNotif.registerType
+   * Appelé à chaque rendu : un type ajouté ou retiré après la connexion est pris en compte
    */
-  _emitEvent(eventName, detail = {}) {
-    const event = new CustomEvent(`fpemnotif:${eventName}`, {
-      detail: {
-        ...detail,
-        manager: this,
-        timestamp: Date.now()
-      },
-      bubbles: true,
-      composed: true
+  _renderTypeOptions() {
+    Array.from(this._filterElem.options).forEach(option => {
+      if ('registered' in option.dataset && !FpemNotif.types.has(option.value)) option.remove();
     });
 
-    // Émission sur le container principal s'il existe
-    const mainContainer = this._containers.get(this.config.position);
-    if (mainContainer) {
-      mainContainer.dispatchEvent(event);
-    }
+    const existing = new Set(Array.from(this._filterElem.options, option => option.value));
+    FpemNotif.types.forEach((definition, name) => {
+      if (existing.has(name)) return;
+      const option = FpemDom.h('option', { value: name, 'data-registered': true }, [definition.label || name]);
+      this._filterElem.appendChild(option);
+    });
 
-    // Émission également sur document pour l'écoute globale
-    document.dispatchEvent(event);
+    this._filterElem.value = this.filter;
   }
 
   /**
-   * Ajoute un listener d'événement pour les notifications
-   * @param {string} eventName - Nom de l'événement (sans préfixe fpemnotif:)
-   * @param {function} callback - Fonction de callback
-   * @returns {function} Fonction de suppression du listener
+   * Appelé quand l'élément est supprimé du DOM
    */
-  on(eventName, callback) {
-    const fullEventName = `fpemnotif:${eventName}`;
-    document.addEventListener(fullEventName, callback);
-    
-    // Retourne une fonction pour supprimer le listener
-    return () => document.removeEventListener(fullEventName, callback);
+  disconnectedCallback() {
+    document.removeEventListener('click', this._boundHandlers.get('outside'));
+    FpemNotif._typeListeners.delete(this._boundHandlers.get('types'));
   }
 
   /**
-   * Supprime tous les listeners et nettoie les ressources
+   * Met à jour le badge et la liste depuis l'historique
    */
-  destroy() {
-    // Suppression de toutes les notifications
-    this.clearAll(true);
-    
-    // Nettoyage des containers
-    this._containers.forEach(container => {
-      if (container.parentNode) {
-        container.parentNode.removeChild(container);
-      }
-    });
-    this._containers.clear();
+  _render() {
+    const history = this.history;
+    const unread = history ? history.unreadCount : 0;
+
+    // Badge des non lues
+    this._badgeElem.textContent = unread > 99 ? '99+' : String(unread);
+    this._badgeElem.hidden = unread === 0;
+    this._bellBtn.setAttribute(
+      'aria-label',
+      unread > 0
+        ? `Centre de notifications, ${unread} non lue${unread > 1 ? 's' : ''}`
+        : 'Centre de notifications'
+    );
+
+    // Types proposés au filtre, puis liste filtrée construite sans HTML
+    this._renderTypeOptions();
+    const entries = history ? history.getEntries({ type: this.filter }) : [];
+    this._listElem.replaceChildren(...entries.map(entry => this._renderEntry(entry)));
+    this._emptyElem.hidden = entries.length > 0;
+  }
 
-    // Nettoyage des collections
-    this.notifications.clear();
-    this.groups.clear();
-    this.queue.length = 0;
+  /**
+   * Construit l'élément de liste d'une entrée d'historique
+   * @param {Object} entry - Entrée d'historique
+   * @returns {HTMLElement} Élément de liste
+   */
+  _renderEntry(entry) {
+    const item = document.createElement('li');
+    item.className = 'item';
+    item.setAttribute('part', 'item');
+    item.dataset.id = entry.id;
+    item.dataset.type = entry.type;
+    item.dataset.read = String(entry.read);
+
+    const icon = document.createElement('span');
+    icon.className = 'item-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = entry.icon ?? FpemNotif.types.get(entry.type)?.icon ?? '';
+
+    const content = document.createElement('div');
+    content.className = 'item-content';
+
+    if (entry.title) {
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      title.textContent = entry.title;
+      content.appendChild(title);
+    }
 
-    // Nettoyage du stockage
-    if (this.config.enablePersistence) {
-      try {
-        localStorage.removeItem(this._persistenceKey);
-      } catch (error) {
-        console.warn('[FPEM NOTIF] Erreur lors du nettoyage du stockage:', error);
-      }
+    if (entry.message) {
+      const message = document.createElement('div');
+      message.className = 'item-message';
+      message.replaceChildren(FpemRichText.render(entry.message, entry.format));
+      content.appendChild(message);
     }
 
-    // Émission d'événement de destruction
-    this._emitEvent('destroyed', { manager: this });
+    const meta = document.createElement('time');
+    meta.className = 'item-meta';
+    meta.dateTime = new Date(entry.removedAt).toISOString();
+    meta.textContent = new Date(entry.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    content.appendChild(meta);
+
+    item.append(icon, content);
+
+    if (!entry.read) {
+      const readBtn = document.createElement('button');
+      readBtn.type = 'button';
+      readBtn.className = 'item-read-btn';
+      readBtn.dataset.id = entry.id;
+      readBtn.textContent = 'Marquer comme lu';
+      item.appendChild(readBtn);
+    }
+
+    return item;
   }
 
   /**
-   * Méthode pour créer un builder de notification
-   * @param {string} type - Type de notification
-   * @returns {FpemNotificationBuilder} Instance du builder
+   * Marque une entrée comme lue
+   * @param {string} id - ID de la notification
    */
-  create(type = 'custom') {
-    return new FpemNotificationBuilder(this, type);
+  markAsRead(id) {
+    this.history?.markAsRead(id);
   }
 
   /**
-   * Méthode avec mise à jour automatique et progression
-   * @param {string} type - Type initial
-   * @param {Object} initialOptions - Options initiales
-   * @param {Object} updateOptions - Options de mise à jour
-   * @param {number} updateDelay - Délai avant mise à jour (ms)
-   * @param {number} keepAfterUpdate - Durée après mise à jour (ms)
-   * @returns {string} ID de la notification
+   * Marque comme lues toutes les entrées du filtre courant
    */
-  notifyWithAutoUpdate(type, initialOptions = {}, updateOptions = {}, updateDelay = 3000, keepAfterUpdate = 3000) {
-    // Création de la notification persistante initiale avec progression
-    const id = initialOptions.id || this._generateId();
-    const notification = this.notify(type, {
-      ...initialOptions,
-      id,
-      persistent: true,
-      showProgress: true,
-      showCloseButton: false
-    });
+  markAllAsRead() {
+    this.history?.markAllAsRead(this.filter);
+  }
 
-    if (notification) {
-      // Démarrage de l'animation de progression
-      notification.startProgressAnimation(updateDelay);
+  /**
+   * Efface les entrées du filtre courant
+   */
+  clear() {
+    this.history?.clear(this.filter);
+  }
 
-      // Programmation de la mise à jour
-      setTimeout(() => {
-        this.update(id, {
-          ...updateOptions,
-          persistent: false,
-          duration: keepAfterUpdate,
-          showCloseButton: true,
-          progress: 100
-        });
-      }, updateDelay);
+  // === PROPRIÉTÉS PUBLIQUES ===
+
+  /** Gestionnaire dont l'historique est affiché */
+  get manager() { return this._manager; }
+  set manager(manager) {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
     }
 
-    return id;
+    this._manager = manager || null;
+    if (this._manager?.history) {
+      this._unsubscribe = this._manager.history.subscribe(() => this._render());
+    }
+    this._render();
+  }
+
+  /** Historique du gestionnaire connecté */
+  get history() { return this._manager?.history || null; }
+
+  /** Ouverture du panneau */
+  get open() { return this.hasAttribute('open'); }
+  set open(val) {
+    if (val) this.setAttribute('open', '');
+    else this.removeAttribute('open');
   }
 
+  /** Filtre par type ('all' pour tout afficher) */
+  get filter() { return this.getAttribute('filter') || 'all'; }
+  set filter(val) { this.setAttribute('filter', val || 'all'); }
+
+  /** Nombre d'entrées non lues */
+  get unreadCount() { return this.history ? this.history.unreadCount : 0; }
+}
+
+/**
+ * ========================================================================
+ * FPEM NOTIFICATION FORM WEB COMPONENT
+ * ========================================================================
+ * 
+ * Petit formulaire projeté dans une notification (prompt, form) :
+ * champs, validation en ligne, Entrée pour valider et Échap pour annuler.
+ * Émet fpemnotif:form-submit (detail.values) et fpemnotif:form-cancel.
+ */
+class FpemNotificationForm extends HTMLElement {
+
+  // Feuille de styles partagée, créée à la première instance
+  static _sharedStyleSheet = undefined;
+
+  // Types de champ acceptés pour un <input>
+  static inputTypes = new Set(['text', 'email', 'number', 'password', 'url', 'tel', 'checkbox']);
+
   /**
-   * Met à jour une notification existante
-   * @param {string} id - ID de la notification
-   * @param {Object} options - Nouvelles options
-   * @returns {HTMLElement|null} Notification mise à jour ou null
+   * Constructeur du formulaire
    */
-  update(id, options = {}) {
-    return this._updateExistingNotification(id, this._validateAndNormalizeOptions('custom', options));
+  constructor() {
+    super();
+
+    this._fields = [];
+    this._inputs = new Map();
+    this._errors = new Map();
+    this._validate = null;
+    this._isValidating = false;
+
+    // Shadow DOM fermé, le focus est délégué au premier champ
+    this._shadowRoot = this.attachShadow({ mode: 'closed', delegatesFocus: true });
+    FpemDom.adoptStyles(this._shadowRoot, FpemNotificationForm);
+    this._formElem = FpemDom.h('form', { class: 'form', part: 'form', novalidate: true });
+    this._shadowRoot.appendChild(this._formElem);
+
+    // Écouteurs posés sur le Shadow DOM interne, libérés avec lui
+    this._setupEventListeners();
   }
 
   /**
-   * Affiche une notification avec gestion d'erreur intégrée
-   * @param {string} type - Type de notification
-   * @param {Object} options - Options de configuration
-   * @returns {HTMLElement|null} Notification créée ou null en cas d'erreur
+   * Styles CSS du formulaire (hérite des variables de la notification)
+   * @returns {string} Feuille de styles
    */
-  safeNotify(type, options = {}) {
-    try {
-      return this.notify(type, options);
-    } catch (error) {
-      console.error('[FPEM NOTIF] Erreur lors de la création de la notification:', error);
-      
-      // Tentative de notification d'erreur simplifiée
-      try {
-        return this.notify('error', {
-          title: 'Erreur système',
-          message: 'Une erreur est survenue lors de l\'affichage de la notification.',
-          persistent: false,
-          duration: 5000
-        });
-      } catch (fallbackError) {
-        console.error('[FPEM NOTIF] Erreur critique du système de notification:', fallbackError);
-        return null;
-      }
-    }
-  }
+  static get styles() {
+    return `
+        :host {
+          display: block;
+        }
+
+        .form {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+          margin: 0;
+        }
+
+        .field {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+        }
+
+        .field-checkbox {
+          flex-direction: row;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.5rem;
+        }
+
+        .label {
+          font-size: 0.8125rem;
+          font-weight: 500;
+        }
+
+        .input {
+          font: inherit;
+          color: #1f2937;
+          background: rgba(255,255,255,0.95);
+          border: 1px solid rgba(0,0,0,0.15);
+          border-radius: 0.25rem;
+          padding: 0.375rem 0.5rem;
+          min-width: 0;
+        }
+
+        .input:focus {
+          outline: 2px solid currentColor;
+          outline-offset: 1px;
+        }
+
+        .input[aria-invalid="true"] {
+          border-color: #dc2626;
+          box-shadow: 0 0 0 1px #dc2626;
+        }
+
+        .error {
+          flex-basis: 100%;
+          font-size: 0.75rem;
+          font-weight: 600;
+        }
+
+        .error[hidden] {
+          display: none;
+        }
+
+        .buttons {
+          display: flex;
+          justify-content: flex-end;
+          gap: 0.5rem;
+        }
+
+        .btn {
+          background: rgba(255,255,255,0.2);
+          border: 1px solid rgba(255,255,255,0.3);
+          color: currentColor;
+          padding: 0.375rem 0.75rem;
+          border-radius: 0.25rem;
+          font: inherit;
+          font-size: 0.8125rem;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn:hover,
+        .btn:focus-visible {
+          background: rgba(255,255,255,0.3);
+          outline: none;
+        }
+
+        .btn-primary {
+          background: rgba(255,255,255,0.9);
+          color: #1f2937;
+        }
 
-  // === MÉTHODES RACCOURCIES POUR LES TYPES COURANTS ===
+        /* === CONTRASTE FORCÉ (Windows) === */
+        @media (forced-colors: active) {
+          .input,
+          .btn {
+            border: 1px solid ButtonText;
+          }
+
+          .input[aria-invalid="true"] {
+            border-color: Mark;
+          }
+        }
+    `;
+  }
 
   /**
-   * Affiche une notification de succès
-   * @param {Object|string} options - Options ou message direct
-   * @returns {HTMLElement} Notification créée
+   * Construit les champs du formulaire
+   * @param {Array} fields - Champs {name, label, type, placeholder, value, required, options, validate}
+   * @param {Object} options - {submitLabel, cancelLabel, validate}
    */
-  success(options) {
-    if (typeof options === 'string') {
-      options = { message: options };
-    }
-    return this.notify('success', options);
+  setFields(fields = [], options = {}) {
+    const h = FpemDom.h;
+    const { submitLabel = 'Valider', cancelLabel = 'Annuler', validate = null } = options;
+
+    this._fields = fields.filter(field => field && typeof field.name === 'string');
+    this._validate = validate;
+    this._inputs.clear();
+    this._errors.clear();
+
+    const rows = this._fields.map((field, index) => {
+      const input = this._createInput(field, `field-${index}`, `error-${index}`);
+      const error = h('div', { id: `error-${index}`, class: 'error', part: 'error', role: 'alert', hidden: true });
+      const label = field.label
+        ? h('label', { for: `field-${index}`, class: 'label', part: 'label' }, [field.label])
+        : null;
+
+      this._inputs.set(field.name, input);
+      this._errors.set(field.name, error);
+
+      // Case à cocher suivie de son libellé
+      const children = field.type === 'checkbox' ? [input, label, error] : [label, input, error];
+      return h('div', { class: `field${field.type === 'checkbox' ? ' field-checkbox' : ''}`, part: 'field' },
+        children.filter(Boolean));
+    });
+
+    const buttons = h('div', { class: 'buttons', part: 'buttons' }, [
+      cancelLabel ? h('button', { type: 'button', class: 'btn cancel-btn', part: 'button cancel-btn' }, [cancelLabel]) : null,
+      h('button', { type: 'submit', class: 'btn btn-primary', part: 'button submit-btn' }, [submitLabel])
+    ].filter(Boolean));
+
+    this._formElem.replaceChildren(...rows, buttons);
   }
 
   /**
-   * Affiche une notification d'erreur
-   * @param {Object|string} options - Options ou message direct
-   * @returns {HTMLElement} Notification créée
+   * Crée le contrôle d'un champ
+   * @param {Object} field - Définition du champ
+   * @param {string} id - ID du contrôle
+   * @param {string} errorId - ID du message d'erreur associé
+   * @returns {HTMLElement} Contrôle créé
    */
-  error(options) {
-    if (typeof options === 'string') {
-      options = { message: options };
+  _createInput(field, id, errorId) {
+    const h = FpemDom.h;
+    const attributes = {
+      id,
+      name: field.name,
+      class: 'input',
+      part: 'input',
+      required: !!field.required,
+      'aria-describedby': errorId,
+      // Sans libellé visible, le placeholder ou le nom sert de nom accessible
+      'aria-label': field.label ? null : (field.placeholder || field.name)
+    };
+
+    let input;
+    if (field.type === 'textarea') {
+      input = h('textarea', { ...attributes, placeholder: field.placeholder, rows: field.rows || 3 });
+    } else if (field.type === 'select') {
+      input = h('select', attributes, (field.options || []).map(option => {
+        const { label, value } = typeof option === 'object' ? option : { label: option, value: option };
+        return h('option', { value }, [label ?? value]);
+      }));
+    } else {
+      const type = FpemNotificationForm.inputTypes.has(field.type) ? field.type : 'text';
+      input = h('input', { ...attributes, type, placeholder: field.placeholder, autocomplete: field.autocomplete });
     }
-    return this.notify('error', { duration: 6000, ...options });
+
+    if (field.type === 'checkbox') {
+      input.checked = !!field.value;
+    } else if (field.value !== undefined && field.value !== null) {
+      input.value = String(field.value);
+    }
+
+    return input;
   }
 
   /**
-   * Affiche une notification d'avertissement
-   * @param {Object|string} options - Options ou message direct
-   * @returns {HTMLElement} Notification créée
+   * Configure les event listeners du formulaire
    */
-  warning(options) {
-    if (typeof options === 'string') {
-      options = { message: options };
-    }
-    return this.notify('warning', options);
+  _setupEventListeners() {
+    this._formElem.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+
+    this._formElem.addEventListener('click', (e) => {
+      if (e.target.closest('.cancel-btn')) this.cancel();
+    });
+
+    this._formElem.addEventListener('keydown', (e) => {
+      // Échap annule sans remonter à la notification (fermeture générique)
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.cancel();
+      }
+
+      // Ctrl+Entrée valide depuis une zone de texte multiligne
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && e.target.tagName === 'TEXTAREA') {
+        e.preventDefault();
+        this.submit();
+      }
+    });
+
+    // L'erreur d'un champ s'efface dès qu'il est modifié
+    this._formElem.addEventListener('input', (e) => {
+      const field = this._fields.find(f => this._inputs.get(f.name) === e.target);
+      if (field) this._setFieldError(field.name, null);
+    });
   }
 
   /**
-   * Affiche une notification d'information
-   * @param {Object|string} options - Options ou message direct
-   * @returns {HTMLElement} Notification créée
+   * Donne le focus au premier champ
+   * @param {Object} options - Options de focus ({preventScroll})
    */
-  info(options) {
-    if (typeof options === 'string') {
-      options = { message: options };
-    }
-    return this.notify('info', options);
+  focus(options) {
+    const firstInput = this._inputs.values().next().value;
+    if (firstInput) firstInput.focus(options);
+    else super.focus(options);
   }
 
   /**
-   * Affiche une notification personnalisée
-   * @param {Object|string} options - Options ou message direct
-   * @returns {HTMLElement} Notification créée
+   * Valeurs courantes des champs
+   * @returns {Object} Valeurs par nom de champ
    */
-  custom(options) {
-    if (typeof options === 'string') {
-      options = { message: options };
-    }
-    return this.notify('custom', options);
+  get values() {
+    return Object.fromEntries(this._fields.map(field => {
+      const input = this._inputs.get(field.name);
+      if (field.type === 'checkbox') return [field.name, input.checked];
+      if (field.type === 'number') return [field.name, input.value === '' ? null : Number(input.value)];
+      return [field.name, input.value];
+    }));
   }
 
-  // === MÉTHODES UTILITAIRES AVANCÉES ===
-
   /**
-   * Affiche une notification de chargement avec progression
-   * @param {Object} options - Options de configuration
-   * @returns {Object} Contrôleur de la notification de chargement
+   * Valide puis émet les valeurs du formulaire
+   * @returns {Promise<boolean>} Vrai si le formulaire a été soumis
    */
-  loading(options = {}) {
-    const id = options.id || this._generateId();
-    const notification = this.notify('info', {
-      ...options,
-      id,
-      icon: '⏳',
-      persistent: true,
-      showProgress: true,
-      showCloseButton: false,
-      title: options.title || 'Chargement...',
-      message: options.message || 'Veuillez patienter'
-    });
-
-    let currentProgress = 0;
-
-    return {
-      notification,
-      id,
-      
-      /**
-       * Met à jour le message de chargement
-       * @param {string} message - Nouveau message
-       */
-      updateMessage: (message) => {
-        if (this.notifications.has(id)) {
-          this.update(id, { message });
-        }
-      },
-
-      /**
-       * Met à jour la progression
-       * @param {number} progress - Progression (0-100)
-       * @param {string} message - Message optionnel
-       */
-      updateProgress: (progress, message) => {
-        currentProgress = Math.max(0, Math.min(100, progress));
-        const updateOptions = { progress: currentProgress };
-        
-        if (message) updateOptions.message = message;
-        
-        if (this.notifications.has(id)) {
-          this.update(id, updateOptions);
-        }
-      },
+  async submit() {
+    if (this._isValidating) return false;
 
-      /**
-       * Termine le chargement avec succès
-       * @param {string} message - Message de succès
-       * @param {number} duration - Durée d'affichage du succès
-       */
-      success: (message = 'Terminé !', duration = 2000) => {
-        if (this.notifications.has(id)) {
-          this.update(id, {
-            type: 'success',
-            icon: '✅',
-            title: 'Succès',
-            message,
-            progress: 100,
-            persistent: false,
-            duration,
-            showCloseButton: true
-          });
-        }
-      },
+    this._isValidating = true;
+    try {
+      const values = this.values;
+      const errors = await this._collectErrors(values);
 
-      /**
-       * Termine le chargement avec erreur
-       * @param {string} message - Message d'erreur
-       * @param {number} duration - Durée d'affichage de l'erreur
-       */
-      error: (message = 'Une erreur est survenue', duration = 5000) => {
-        if (this.notifications.has(id)) {
-          this.update(id, {
-            type: 'error',
-            icon: '❌',
-            title: 'Erreur',
-            message,
-            progress: 0,
-            persistent: false,
-            duration,
-            showCloseButton: true
-          });
-        }
-      },
+      this._fields.forEach(field => this._setFieldError(field.name, errors[field.name] || null));
 
-      /**
-       * Annule le chargement
-       */
-      cancel: () => {
-        this.removeById(id, 'cancelled');
+      const firstInvalid = this._fields.find(field => errors[field.name]);
+      if (firstInvalid) {
+        this._inputs.get(firstInvalid.name).focus();
+        return false;
       }
-    };
+
+      this.dispatchEvent(new CustomEvent('fpemnotif:form-submit', {
+        bubbles: true,
+        composed: true,
+        detail: { values }
+      }));
+      return true;
+    } finally {
+      this._isValidating = false;
+    }
   }
 
   /**
-   * Affiche une notification de confirmation avec actions
-   * @param {Object} options - Options de configuration
-   * @returns {Promise} Promise résolue avec la réponse utilisateur
+   * Annule la saisie
    */
-  confirm(options = {}) {
-    return new Promise((resolve) => {
-      const id = this._generateId();
-      
-      const notification = this.notify('warning', {
-        ...options,
-        id,
-        icon: options.icon || '❓',
-        persistent: true,
-        showCloseButton: false,
-        title: options.title || 'Confirmation',
-        message: options.message || 'Êtes-vous sûr ?',
-        actions: [
-          {
-            label: options.confirmLabel || 'Confirmer',
-            callback: () => {
-              this.removeById(id);
-              resolve(true);
-            },
-            primary: true
-          },
-          {
-            label: options.cancelLabel || 'Annuler',
-            callback: () => {
-              this.removeById(id);
-              resolve(false);
-            }
-          }
-        ]
-      });
-
-      // Auto-annulation après timeout
-      if (options.timeout) {
-        setTimeout(() => {
-          if (this.notifications.has(id)) {
-            this.removeById(id);
-            resolve(false);
-          }
-        }, options.timeout);
-      }
-    });
+  cancel() {
+    this.dispatchEvent(new CustomEvent('fpemnotif:form-cancel', { bubbles: true, composed: true }));
   }
 
   /**
-   * Affiche une série de notifications avec délai
-   * @param {Array} notifications - Tableau de notifications à afficher
-   * @param {number} delay - Délai entre chaque notification (ms)
-   * @returns {Promise} Promise résolue quand toutes sont affichées
+   * Collecte les erreurs : champs requis, validateurs par champ puis validateur global
+   * Un validateur retourne true/undefined si valide, false ou un message sinon
+   * @param {Object} values - Valeurs du formulaire
+   * @returns {Promise<Object>} Messages d'erreur par nom de champ
    */
-  sequence(notifications = [], delay = 500) {
-    return new Promise((resolve) => {
-      let index = 0;
-      
-      const showNext = () => {
-        if (index >= notifications.length) {
-          resolve();
-          return;
-        }
+  async _collectErrors(values) {
+    const errors = {};
+
+    for (const field of this._fields) {
+      const value = values[field.name];
+      if (field.required && (value === '' || value === null || value === false)) {
+        errors[field.name] = field.requiredMessage || 'Ce champ est requis';
+      } else if (typeof field.validate === 'function') {
+        const message = await FpemNotificationForm._runValidator(field.validate, value, values);
+        if (message) errors[field.name] = message;
+      }
+    }
 
-        const notif = notifications[index];
-        this.notify(notif.type || 'info', notif.options || {});
-        
-        index++;
-        setTimeout(showNext, delay);
-      };
+    // Validateur global : objet {champ: message} ou message rattaché au premier champ
+    if (typeof this._validate === 'function' && Object.keys(errors).length === 0) {
+      let result;
+      try {
+        result = await this._validate(values);
+      } catch (error) {
+        result = error.message || false;
+      }
 
-      showNext();
-    });
+      if (result && typeof result === 'object') {
+        Object.entries(result).forEach(([name, message]) => {
+          if (message && this._inputs.has(name)) errors[name] = String(message);
+        });
+      } else {
+        const message = FpemNotificationForm._toErrorMessage(result);
+        if (message && this._fields.length > 0) errors[this._fields[0].name] = message;
+      }
+    }
+
+    return errors;
   }
 
   /**
-   * Importe des notifications depuis un fichier JSON
-   * @param {string} jsonData - Données JSON des notifications
-   * @returns {Array} Notifications importées
+   * Exécute un validateur de champ
+   * @param {Function} validate - Validateur (value, values)
+   * @param {*} value - Valeur du champ
+   * @param {Object} values - Valeurs du formulaire
+   * @returns {Promise<string|null>} Message d'erreur ou null
    */
-  importFromJSON(jsonData) {
+  static async _runValidator(validate, value, values) {
     try {
-      const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
-      const imported = [];
-
-      if (Array.isArray(data)) {
-        data.forEach(notifData => {
-          if (notifData.type && (notifData.message || notifData.title)) {
-            const notification = this.notify(notifData.type, notifData);
-            imported.push(notification);
-          }
-        });
-      }
-
-      return imported;
+      return FpemNotificationForm._toErrorMessage(await validate(value, values));
     } catch (error) {
-      console.error('[FPEM NOTIF] Erreur lors de l\'importation:', error);
-      return [];
+      return error.message || 'Valeur invalide';
     }
   }
 
   /**
-   * Exporte les notifications actuelles vers JSON
-   * @param {boolean} includeTransient - Inclure les notifications temporaires
-   * @returns {string} Données JSON des notifications
+   * Convertit le retour d'un validateur en message d'erreur
+   * @param {*} result - Retour du validateur
+   * @returns {string|null} Message d'erreur ou null si valide
    */
-  exportToJSON(includeTransient = false) {
-    const notifications = Array.from(this.notifications.values())
-      .filter(notif => includeTransient || notif.persistent)
-      .map(notif => ({
-        id: notif.dataset.id,
-        type: notif.type,
-        title: notif.title,
-        message: notif.message,
-        icon: notif.icon,
-        persistent: notif.persistent,
-        timestamp: notif.dataset.timestamp
-      }));
-
-    return JSON.stringify(notifications, null, 2);
+  static _toErrorMessage(result) {
+    if (result === false) return 'Valeur invalide';
+    return typeof result === 'string' && result ? result : null;
   }
 
   /**
-   * Retourne des statistiques d'utilisation
-   * @returns {Object} Statistiques du gestionnaire
+   * Affiche ou efface l'erreur d'un champ
+   * @param {string} name - Nom du champ
+   * @param {string|null} message - Message d'erreur, null pour effacer
    */
-  getStats() {
-    const activeNotifications = Array.from(this.notifications.values());
-    const byType = {};
-    const byPosition = {};
-
-    activeNotifications.forEach(notif => {
-      const type = notif.type || 'custom';
-      byType[type] = (byType[type] || 0) + 1;
-
-      const container = notif.parentNode;
-      if (container && container.dataset.position) {
-        const pos = container.dataset.position;
-        byPosition[pos] = (byPosition[pos] || 0) + 1;
-      }
-    });
-
-    return {
-      totalActive: this.notifications.size,
-      queueSize: this.queue.length,
-      groupsCount: this.groups.size,
-      byType,
-      byPosition,
-      config: this.getConfig(),
-      containers: Array.from(this._containers.keys())
-    };
+  _setFieldError(name, message) {
+    const input = this._inputs.get(name);
+    const error = this._errors.get(name);
+    if (!input || !error) return;
+
+    input.setAttribute('aria-invalid', String(!!message));
+    error.textContent = message || '';
+    error.hidden = !message;
   }
 }
 
@@ -2345,6 +7576,10 @@ if (!customElements.get('fpem-notification')) {
   customElements.define('fpem-notification', FpemNotification);
 }
 
+if (!customElements.get('fpem-notification-form')) {
+  customElements.define('fpem-notification-form', FpemNotificationForm);
+}
+
 // === INSTANCE GLOBALE PAR DÉFAUT ===
 
 /**
@@ -2355,6 +7590,16 @@ if (typeof window !== 'undefined') {
   // Création de l'instance globale
   window.FpemNotif = FpemNotif;
   window.FpemNotificationBuilder = FpemNotificationBuilder;
+  window.FpemNotificationHistory = FpemNotificationHistory;
+  window.FpemNotificationCenter = FpemNotificationCenter;
+  window.FpemNotificationForm = FpemNotificationForm;
+  window.FpemWebStorageAdapter = FpemWebStorageAdapter;
+  window.FpemMemoryStorageAdapter = FpemMemoryStorageAdapter;
+  window.FpemIndexedDBStorageAdapter = FpemIndexedDBStorageAdapter;
+  window.FpemTabSync = FpemTabSync;
+  window.FpemAnnouncer = FpemAnnouncer;
+  window.FpemRichText = FpemRichText;
+  window.FpemDom = FpemDom;
   
   // Instance par défaut prête à l'emploi
   window.fpemNotif = new FpemNotif();
@@ -2367,6 +7612,14 @@ if (typeof window !== 'undefined') {
   window.notifyInfo = window.fpemNotif.info.bind(window.fpemNotif);
 }
 
+/**
+ * Le centre est enregistré après l'instance globale : un centre déjà présent
+ * dans la page est mis à niveau à cet instant et s'y connecte aussitôt
+ */
+if (!customElements.get('fpem-notification-center')) {
+  customElements.define('fpem-notification-center', FpemNotificationCenter);
+}
+
 // === SUPPORT MODULE ES6 ===
 
 /**
@@ -2376,7 +7629,17 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     FpemNotif,
     FpemNotificationBuilder,
-    FpemNotification
+    FpemNotification,
+    FpemNotificationHistory,
+    FpemNotificationCenter,
+    FpemNotificationForm,
+    FpemWebStorageAdapter,
+    FpemMemoryStorageAdapter,
+    FpemIndexedDBStorageAdapter,
+    FpemTabSync,
+    FpemAnnouncer,
+    FpemRichText,
+    FpemDom
   };
 }
 